@@ -0,0 +1,207 @@
+/**
+ * Commit Watch - Connected Accounts
+ * 
+ * Several accounts can be connected per platform (e.g. a personal and a work
+ * GitHub account). Each account has its own instance, token, user data,
+ * repository list and rate limit:
+ * { id, platform, instanceUrl, token, user }
+ * 
+ * Account ids look like 'github:octocat@github.com' and prefix the keys of
+ * everything stored per repository ('github:octocat@github.com:owner/repo').
+ */
+
+import { DEFAULT_INSTANCE_URLS } from './constants.js';
+import { getStorage, setStorage } from './storage.js';
+
+// Storage maps keyed by account id or by account-prefixed repository keys
+const ACCOUNT_SCOPED_MAPS = [
+  'lastCommits', 'lastReleases', 'repoSchedule', 'codeOwners', 'repoLanguages',
+  'eventCursors', 'ownerHandles', 'ownEmails', 'githubRateLimits', 'gitlabRateLimits'
+];
+
+// Settings keyed by account-prefixed repository keys
+const ACCOUNT_SCOPED_SETTINGS = [
+  'enabledRepos', 'repoBranches', 'releaseChannels', 'releaseThresholds', 'repoIntervals', 'signedCommitRepos'
+];
+
+/**
+ * Pending legacy migration (runs once per service worker lifetime)
+ */
+let migration = null;
+
+/**
+ * Build the id of an account
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {string} login - Username on the instance
+ * @param {string} instanceUrl - Web base URL of the instance
+ * @returns {string} e.g. 'github:octocat@github.com'
+ */
+export function getAccountId(platform, login, instanceUrl) {
+  return `${platform}:${login}@${new URL(instanceUrl).host}`;
+}
+
+/**
+ * Get the storage key of an account's cached repository list
+ * @param {string} accountId - Account id
+ * @returns {string}
+ */
+export function getRepositoriesCacheKey(accountId) {
+  return `repositories:${accountId}`;
+}
+
+/**
+ * Move the single-token storage layout to an account list
+ * Per-repository keys ('github:owner/repo') are moved under the account
+ * ('github:octocat@github.com:owner/repo') so no state is lost.
+ */
+async function migrateLegacyAccounts() {
+  const legacy = await getStorage([
+    'accounts', 'githubToken', 'gitlabToken', 'userData', 'gitlabUserData',
+    'githubInstanceUrl', 'gitlabInstanceUrl', 'settings', ...ACCOUNT_SCOPED_MAPS
+  ]);
+  if (legacy.accounts || (!legacy.githubToken && !legacy.gitlabToken)) return;
+  
+  const accounts = [];
+  const platforms = [
+    { platform: 'github', token: legacy.githubToken, user: legacy.userData, instanceUrl: legacy.githubInstanceUrl },
+    { platform: 'gitlab', token: legacy.gitlabToken, user: legacy.gitlabUserData, instanceUrl: legacy.gitlabInstanceUrl }
+  ];
+  
+  const updates = { settings: legacy.settings && { ...legacy.settings }, eventCursors: {} };
+  for (const { platform, token, user, instanceUrl = DEFAULT_INSTANCE_URLS[platform] } of platforms) {
+    if (!token) continue;
+    
+    const id = getAccountId(platform, user?.login || 'default', instanceUrl);
+    accounts.push({ id, platform, instanceUrl, token, user: user || null });
+    
+    // Re-key per-repository state and settings under the account
+    const rekey = (map = {}) => Object.fromEntries(Object.entries(map).map(([key, value]) =>
+      [key.startsWith(`${platform}:`) ? `${id}:${key.slice(platform.length + 1)}` : key, value]
+    ));
+    for (const mapKey of ['lastCommits', 'lastReleases', 'repoSchedule']) {
+      updates[mapKey] = rekey(updates[mapKey] || legacy[mapKey]);
+    }
+    for (const settingKey of ['enabledRepos', 'repoBranches', 'repoIntervals']) {
+      if (updates.settings?.[settingKey]) {
+        updates.settings[settingKey] = rekey(updates.settings[settingKey]);
+      }
+    }
+    if (legacy.eventCursors?.[platform]) {
+      updates.eventCursors[id] = legacy.eventCursors[platform];
+    }
+  }
+  
+  if (!updates.settings) delete updates.settings;
+  await setStorage({ ...updates, accounts });
+  await chrome.storage.local.remove([
+    'githubToken', 'gitlabToken', 'userData', 'gitlabUserData',
+    'githubInstanceUrl', 'gitlabInstanceUrl', 'rateLimit', 'gitlabRateLimit',
+    'repositories', 'repositoriesUpdated', 'gitlabRepositories', 'gitlabRepositoriesUpdated'
+  ]);
+  console.log(`[Commit Watch] Migrated ${accounts.length} connected account(s)`);
+}
+
+/**
+ * Wait for the legacy migration, so no settings or state are read under old keys
+ */
+export async function ensureAccountsMigrated() {
+  migration = migration || migrateLegacyAccounts();
+  await migration;
+}
+
+/**
+ * Get connected accounts
+ * @param {string} platform - Only accounts of this platform ('github' or 'gitlab'), or all
+ * @returns {Promise<Array>} Accounts in the order they were connected
+ */
+export async function getAccounts(platform = null) {
+  await ensureAccountsMigrated();
+  
+  const { accounts = [] } = await getStorage('accounts');
+  return platform ? accounts.filter(account => account.platform === platform) : accounts;
+}
+
+/**
+ * Get a connected account by id
+ * @param {string} accountId - Account id
+ * @returns {Promise<Object|null>}
+ */
+export async function getAccount(accountId) {
+  const accounts = await getAccounts();
+  return accounts.find(account => account.id === accountId) || null;
+}
+
+/**
+ * Resolve the account a request is made with
+ * 
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {Object|string|null} account - Account object, account id, or null for
+ *                                       the first connected account of the platform
+ * @returns {Promise<Object>} Account
+ * @throws {Error} When no matching account is connected
+ */
+export async function resolveAccount(platform, account = null) {
+  if (account && typeof account === 'object') {
+    return account;
+  }
+  
+  const accounts = await getAccounts(platform);
+  const resolved = account ? accounts.find(a => a.id === account) : accounts[0];
+  
+  if (!resolved) {
+    throw new Error(platform === 'gitlab' ? 'Not authenticated to GitLab' : 'Not authenticated');
+  }
+  return resolved;
+}
+
+/**
+ * Add an account, or update its token and user data if already connected
+ * @param {Object} account - { id, platform, instanceUrl, token, user }
+ */
+export async function saveAccount(account) {
+  const accounts = await getAccounts();
+  const index = accounts.findIndex(a => a.id === account.id);
+  
+  if (index >= 0) {
+    accounts[index] = account;
+  } else {
+    accounts.push(account);
+  }
+  
+  await setStorage({ accounts });
+}
+
+/**
+ * Disconnect accounts and drop everything stored for them
+ * @param {Array<string>} accountIds - Ids of the accounts to remove
+ */
+export async function removeAccounts(accountIds) {
+  if (accountIds.length === 0) return;
+  
+  const stored = await getStorage(['accounts', 'watchedRepos', 'settings', ...ACCOUNT_SCOPED_MAPS]);
+  const belongsToRemoved = key => accountIds.some(id => key === id || key.startsWith(`${id}:`));
+  
+  const updates = {
+    accounts: (stored.accounts || []).filter(account => !accountIds.includes(account.id)),
+    watchedRepos: (stored.watchedRepos || []).filter(repo => !accountIds.includes(repo.accountId))
+  };
+  for (const mapKey of ACCOUNT_SCOPED_MAPS) {
+    updates[mapKey] = Object.fromEntries(
+      Object.entries(stored[mapKey] || {}).filter(([key]) => !belongsToRemoved(key))
+    );
+  }
+  
+  // Per-repository settings would come back if the account is connected again
+  if (stored.settings) {
+    updates.settings = { ...stored.settings };
+    for (const settingKey of ACCOUNT_SCOPED_SETTINGS) {
+      if (!stored.settings[settingKey]) continue;
+      updates.settings[settingKey] = Object.fromEntries(
+        Object.entries(stored.settings[settingKey]).filter(([key]) => !belongsToRemoved(key))
+      );
+    }
+  }
+  
+  await setStorage(updates);
+  await chrome.storage.local.remove(accountIds.map(getRepositoriesCacheKey));
+}
\ No newline at end of file
@@ -2,60 +2,9 @@
  * Commit Watch - Authentication
  */
 
-import { getStorage, setStorage } from './storage.js';
 import { stopPolling } from './polling.js';
-
-/**
- * Get stored GitHub access token
- * @returns {Promise<string|null>} Access token or null
- */
-export async function getGitHubAccessToken() {
-  const { githubToken } = await getStorage('githubToken');
-  return githubToken || null;
-}
-
-/**
- * Store GitHub access token
- * @param {string} token - Access token to store
- */
-export async function setGitHubAccessToken(token) {
-  await setStorage({ githubToken: token });
-}
-
-/**
- * Get stored GitLab access token
- * @returns {Promise<string|null>} Access token or null
- */
-export async function getGitLabAccessToken() {
-  const { gitlabToken } = await getStorage('gitlabToken');
-  return gitlabToken || null;
-}
-
-/**
- * Store GitLab access token
- * @param {string} token - Access token to store
- */
-export async function setGitLabAccessToken(token) {
-  await setStorage({ gitlabToken: token });
-}
-
-/**
- * Get stored access token (legacy support - returns GitHub token)
- * @returns {Promise<string|null>} Access token or null
- * @deprecated Use getGitHubAccessToken or getGitLabAccessToken
- */
-export async function getAccessToken() {
-  return getGitHubAccessToken();
-}
-
-/**
- * Store access token (legacy support - stores as GitHub token)
- * @param {string} token - Access token to store
- * @deprecated Use setGitHubAccessToken or setGitLabAccessToken
- */
-export async function setAccessToken(token) {
-  await setGitHubAccessToken(token);
-}
+import { clearValidators } from './conditional-requests.js';
+import { getAccounts, removeAccounts } from './accounts.js';
 
 /**
  * Initiate GitHub OAuth flow
@@ -119,9 +68,8 @@ export async function authenticateWithGitHub() {
  * @returns {Promise<boolean>}
  */
 export async function isGitHubAuthenticated() {
-  const token = await getGitHubAccessToken();
-  // Just check if token exists - actual validation happens when API calls are made
-  return !!token;
+  // Just check if an account exists - actual validation happens when API calls are made
+  return (await getAccounts('github')).length > 0;
 }
 
 /**
@@ -129,9 +77,8 @@ export async function isGitHubAuthenticated() {
  * @returns {Promise<boolean>}
  */
 export async function isGitLabAuthenticated() {
-  const token = await getGitLabAccessToken();
-  // Just check if token exists - actual validation happens when API calls are made
-  return !!token;
+  // Just check if an account exists - actual validation happens when API calls are made
+  return (await getAccounts('gitlab')).length > 0;
 }
 
 /**
@@ -147,15 +94,25 @@ export async function isAuthenticated() {
 }
 
 /**
- * Log out user by clearing stored tokens
+ * Disconnect accounts and stop polling once none is left
+ * @param {Array<string>} accountIds - Ids of the accounts to disconnect
+ */
+export async function disconnectAccounts(accountIds) {
+  await removeAccounts(accountIds);
+  // Cached responses of a removed token must not be reused
+  await clearValidators();
+  
+  if (!(await isAuthenticated())) {
+    await stopPolling();
+  }
+}
+
+/**
+ * Log out user by disconnecting all accounts
  */
 export async function logout() {
-  await chrome.storage.local.remove([
-    'githubToken', 'gitlabToken', 
-    'userData', 'gitlabUserData',
-    'repositories', 'gitlabRepositories',
-    'lastCommits', 'gitlabLastCommits',
-    'lastReleases', 'gitlabLastReleases'
-  ]);
+  const accounts = await getAccounts();
+  await removeAccounts(accounts.map(account => account.id));
+  await clearValidators();
   await stopPolling();
 }
\ No newline at end of file
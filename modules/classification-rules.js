@@ -0,0 +1,801 @@
+/**
+ * Commit Watch - Classification Rules
+ * 
+ * Commits are classified by an ordered list of rules. Every rule has an
+ * effect (`then`) and optional conditions (`when`); all conditions must hold.
+ * 
+ *   {
+ *     id: 'nlp-tokenizer',
+ *     description: 'Tokenizers are not security code',
+ *     enabled: true,
+ *     repos: ['acme/nlp-*'],             // optional, globs on the full name (default: all)
+ *     languages: ['Python'],             // optional, primary language of the repository
+ *     when: {
+ *       paths: ['src/tokenizer/**'],      // changed file paths (globs, case-insensitive;
+ *                                         // renamed files also match by their previous path)
+ *       fileStatus: ['removed'],          // changed file status: added, removed, renamed,
+ *                                         // modified or binary (narrows paths and critical files)
+ *       message: 'regex',                 // commit message (case-insensitive)
+ *       authors: ['dependabot*'],         // author login, name or email (globs)
+ *       types: ['docs'],                  // commit type (priority rules)
+ *       conventionalTypes: ['feat'],      // Conventional Commits type ('feat(api)!: ...')
+ *       scopes: ['api*'],                 // Conventional Commits scope (globs)
+ *       breaking: true,                   // '!' marker or BREAKING CHANGE footer
+ *       minFiles, maxFiles,               // number of changed files
+ *       minLines, maxLines,               // added + deleted lines
+ *       minCriticalWeight,                // highest critical file weight
+ *       minCriticalFiles,                 // number of critical files
+ *       minOwnedFiles,                    // files owned by you or your teams (CODEOWNERS)
+ *       dependencyChanges: ['major'],     // manifest changes: added, removed, downgraded,
+ *                                         // or the semver level of upgrades (major, minor, patch)
+ *       largeDeletion: { minDeletions, maxAdditionRatio } // a file mostly deleted
+ *     },
+ *     then: { weight: 0 }
+ *   }
+ * 
+ * Effects:
+ * - { category }        file category used for the commit type (docs, config, ...);
+ *                       the first matching rule per file wins, unmatched files are code
+ * - { critical, weight } critical file area and weight (weight 0 = not critical);
+ *                       the first matching rule per file wins
+ * - { priority }        final priority; the first matching rule wins
+ * 
+ * File rules (category / weight) are evaluated per changed file and need `when.paths`.
+ * Rules scoped to `languages` are language profiles (e.g. Django's settings.py);
+ * they only apply to repositories whose primary language is listed.
+ * Priority rules with `paths` or `fileStatus` need one changed file matching both.
+ * The built-in patterns are the default ruleset; a saved ruleset replaces it.
+ * Built-in rules added after a ruleset was saved are merged into it by id
+ * (settings.classificationRuleIds lists the built-in ids it was saved with).
+ */
+
+import { HIGH_PRIORITY_KEYWORDS } from './constants.js';
+import { matchesGlob } from './utils.js';
+import { parseConventionalCommit } from './conventional-commits.js';
+import { matchesDependencyKinds, formatDependencyChange } from './dependency-analysis.js';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const NUMBER_CONDITIONS = [
+  'minFiles', 'maxFiles', 'minLines', 'maxLines', 'minCriticalWeight', 'minCriticalFiles', 'minOwnedFiles'
+];
+
+/**
+ * Globs matching a name fragment anywhere in a path (file or directory name)
+ * @param {...string} fragments - Name fragments, e.g. 'auth'
+ * @returns {Array<string>}
+ */
+function anywhere(...fragments) {
+  return fragments.flatMap(fragment => [`**/*${fragment}*`, `**/*${fragment}*/**`]);
+}
+
+/**
+ * Globs matching a directory at the repository root
+ * @param {...string} names - Directory names
+ * @returns {Array<string>}
+ */
+function rootDirectory(...names) {
+  return names.map(name => `${name}/**`);
+}
+
+const SOURCE_EXTENSIONS = ['js', 'ts', 'jsx', 'tsx', 'py', 'rb', 'go', 'rs'];
+
+/**
+ * Globs matching entry point files at the root or in src/
+ * @param {...string} names - File names without extension
+ * @returns {Array<string>}
+ */
+function entryPoints(...names) {
+  return names.flatMap(name => SOURCE_EXTENSIONS.flatMap(ext => [`${name}.${ext}`, `src/${name}.${ext}`]));
+}
+
+/**
+ * Globs matching a file name in any directory
+ * @param {...string} names - File names, e.g. 'settings.py'
+ * @returns {Array<string>}
+ */
+function fileNamed(...names) {
+  return names.map(name => `**/${name}`);
+}
+
+export const DEFAULT_CLASSIFICATION_RULES = [
+  // File categories (commit type = the category shared by all files)
+  {
+    id: 'docs-files',
+    description: 'Documentation files',
+    when: {
+      paths: [
+        '**/*.md', '**/*.mdx', '**/*.adoc', '**/*.rst', '**/*.txt', '**/*.1',
+        ...rootDirectory('docs', 'documentation', 'man', 'wiki'),
+        '.github/ISSUE_TEMPLATE*', '.github/ISSUE_TEMPLATE*/**',
+        '.github/PULL_REQUEST_TEMPLATE*', '.github/PULL_REQUEST_TEMPLATE*/**',
+        'README*', 'CHANGELOG*', 'CONTRIBUTING*', 'AUTHORS*', 'CREDITS*', 'LICENSE*', 'COPYING*'
+      ]
+    },
+    then: { category: 'docs' }
+  },
+  {
+    id: 'config-files',
+    description: 'Package manifests, lockfiles and tool configuration',
+    when: {
+      paths: [
+        '**/*package.json', '**/*package-lock.json', '**/*yarn.lock', '**/*pnpm-lock.yaml',
+        '**/*composer.json', '**/*requirements.txt', '**/*poetry.lock', '**/*Cargo.toml', '**/*go.mod',
+        ...anywhere('Gemfile', 'Pipfile'),
+        '**/*.env.example', '**/*.editorconfig', '**/*.gitignore', '**/*.gitattributes', '**/*.npmrc',
+        ...anywhere('.eslintrc', '.prettierrc'),
+        '**/*tsconfig.json', '**/*jsconfig.json'
+      ]
+    },
+    then: { category: 'config' }
+  },
+  {
+    id: 'ci-files',
+    description: 'CI pipelines and container builds',
+    when: {
+      paths: [
+        ...rootDirectory('.github/workflows', '.circleci'),
+        '.gitlab-ci.yml', '.travis.yml', 'Jenkinsfile', 'azure-pipelines.yml',
+        'Dockerfile', 'docker-compose*', '.dockerignore'
+      ]
+    },
+    then: { category: 'ci' }
+  },
+  {
+    id: 'test-files',
+    description: 'Tests',
+    when: {
+      paths: [
+        ...SOURCE_EXTENSIONS.flatMap(ext => [`**/*.test.${ext}`, `**/*.spec.${ext}`]),
+        ...rootDirectory('test', 'tests', '__tests__', 'spec'),
+        '**/*.test'
+      ]
+    },
+    then: { category: 'tests' }
+  },
+  {
+    id: 'localization-files',
+    description: 'Translations',
+    when: {
+      paths: [
+        ...rootDirectory('locale', 'locales', 'i18n', 'lang', 'translation', 'translations'),
+        '**/*.po', '**/*.pot', '**/*.mo'
+      ]
+    },
+    then: { category: 'localization' }
+  },
+  
+  // Critical files of language profiles (before the generic ones, so their weights win)
+  {
+    id: 'django-settings',
+    description: 'Django settings, URL configuration and middleware',
+    languages: ['Python'],
+    when: {
+      paths: [
+        ...fileNamed('settings.py', 'urls.py', 'middleware.py'),
+        '**/settings/*.py', '**/middleware/**'
+      ]
+    },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'python-entry-points',
+    description: 'Django/WSGI/ASGI entry points',
+    languages: ['Python'],
+    when: { paths: fileNamed('manage.py', 'wsgi.py', 'asgi.py') },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'spring-security',
+    description: 'Spring Security configuration',
+    languages: ['Java', 'Kotlin'],
+    when: { paths: anywhere('SecurityConfig', 'WebSecurity') },
+    then: { critical: 'security', weight: 3 }
+  },
+  {
+    id: 'spring-config',
+    description: 'Spring application properties and Boot entry point',
+    languages: ['Java', 'Kotlin'],
+    when: {
+      paths: [
+        '**/application*.yml', '**/application*.yaml', '**/application*.properties',
+        '**/*Application.java', '**/*Application.kt'
+      ]
+    },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'jvm-build',
+    description: 'Maven and Gradle builds',
+    languages: ['Java', 'Kotlin'],
+    when: { paths: fileNamed('pom.xml', 'build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts') },
+    then: { critical: 'build', weight: 2 }
+  },
+  {
+    id: 'rails-credentials',
+    description: 'Rails credentials and secrets',
+    languages: ['Ruby'],
+    when: { paths: ['config/credentials*', 'config/credentials/**', 'config/secrets.yml', 'config/master.key'] },
+    then: { critical: 'security', weight: 3 }
+  },
+  {
+    id: 'rails-config',
+    description: 'Rails routes, application and environment configuration',
+    languages: ['Ruby'],
+    when: {
+      paths: [
+        'config/routes.rb', 'config/routes/**', 'config/application.rb',
+        'config/environments/**', 'config/initializers/**'
+      ]
+    },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'go-entry-points',
+    description: 'Go commands',
+    languages: ['Go'],
+    when: { paths: ['main.go', 'cmd/*/main.go'] },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'rust-crate-roots',
+    description: 'Rust crate roots and build scripts',
+    languages: ['Rust'],
+    when: { paths: ['src/lib.rs', 'src/main.rs', '**/build.rs'] },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'node-framework-config',
+    description: 'Next.js/Nuxt configuration and middleware',
+    languages: ['JavaScript', 'TypeScript'],
+    when: { paths: [...anywhere('next.config', 'nuxt.config'), ...entryPoints('middleware')] },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'laravel-config',
+    description: 'Laravel routes and configuration',
+    languages: ['PHP'],
+    when: { paths: ['routes/*.php', 'config/*.php', 'app/Http/Kernel.php'] },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'dotnet-config',
+    description: 'ASP.NET startup and app settings',
+    languages: ['C#'],
+    when: { paths: fileNamed('Program.cs', 'Startup.cs', 'appsettings*.json') },
+    then: { critical: 'core', weight: 2 }
+  },
+  
+  // Critical files
+  {
+    id: 'security-files',
+    description: 'Authentication and credentials',
+    when: { paths: anywhere('auth', 'security', 'login', 'password', 'token') },
+    then: { critical: 'security', weight: 3 }
+  },
+  {
+    id: 'session-files',
+    description: 'Session handling',
+    when: { paths: anywhere('session') },
+    then: { critical: 'security', weight: 2 }
+  },
+  {
+    id: 'crypto-files',
+    description: 'Cryptography',
+    when: { paths: anywhere('crypto', 'encrypt') },
+    then: { critical: 'security', weight: 3 }
+  },
+  {
+    id: 'entry-points',
+    description: 'Application entry points',
+    when: { paths: entryPoints('index', 'main', 'app', 'server') },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'kernel-files',
+    description: 'Kernel code',
+    when: { paths: anywhere('kernel') },
+    then: { critical: 'core', weight: 3 }
+  },
+  {
+    id: 'engine-files',
+    description: 'Engine code',
+    when: { paths: anywhere('engine') },
+    then: { critical: 'core', weight: 2 }
+  },
+  {
+    id: 'database-files',
+    description: 'Migrations, schemas and models',
+    when: { paths: [...anywhere('migration', 'schema', 'database'), '**/*model/**', '**/*models/**'] },
+    then: { critical: 'database', weight: 2 }
+  },
+  {
+    id: 'api-files',
+    description: 'API routes and controllers',
+    when: {
+      paths: ['api', 'route', 'routes', 'controller', 'controllers', 'endpoint', 'endpoints']
+        .map(name => `**/*${name}/**`)
+    },
+    then: { critical: 'api', weight: 1 }
+  },
+  {
+    id: 'build-files',
+    description: 'Bundler configuration',
+    when: { paths: anywhere('webpack', 'vite.config', 'rollup') },
+    then: { critical: 'build', weight: 2 }
+  },
+  {
+    id: 'babel-files',
+    description: 'Babel configuration',
+    when: { paths: anywhere('babel') },
+    then: { critical: 'build', weight: 1 }
+  },
+  
+  // Priority (first match wins)
+  {
+    id: 'breaking-change',
+    description: 'Conventional Commits breaking change (! marker or BREAKING CHANGE footer)',
+    when: { breaking: true },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'dependency-major',
+    description: 'Major upgrade of a dependency (package.json, Cargo.toml, go.mod, requirements.txt)',
+    when: { dependencyChanges: ['major'] },
+    then: { priority: 'high' }
+  },
+  // Ahead of the low and medium rules: owned docs, config or test changes still matter to you
+  {
+    id: 'touches-your-code',
+    description: 'Files owned by you or your teams (CODEOWNERS)',
+    when: { minOwnedFiles: 1 },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'dependency-added',
+    description: 'New dependency added',
+    when: { dependencyChanges: ['added'] },
+    then: { priority: 'medium' }
+  },
+  {
+    id: 'low-priority-types',
+    description: 'Merges and docs/config/CI/translation-only commits',
+    when: { types: ['merge', 'docs', 'config', 'ci', 'localization'] },
+    then: { priority: 'low' }
+  },
+  {
+    id: 'bot-commits',
+    description: 'Commits by bots (Dependabot, Renovate, GitHub Apps, GitLab bots)',
+    when: { types: ['bot'] },
+    then: { priority: 'low' }
+  },
+  {
+    id: 'test-only',
+    description: 'Test-only commits',
+    when: { types: ['tests'] },
+    then: { priority: 'medium' }
+  },
+  {
+    id: 'critical-file-removed',
+    description: 'A critical file was deleted (migration, security, core...)',
+    when: { fileStatus: ['removed'], minCriticalFiles: 1 },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'critical-file-renamed',
+    description: 'A security, core, database or build file was renamed or moved',
+    when: { fileStatus: ['renamed'], minCriticalWeight: 2 },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'high-weight-critical',
+    description: 'Security or kernel files changed',
+    when: { minCriticalWeight: 3 },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'large-deletion',
+    description: 'A file lost over 100 lines with few additions (likely breaking)',
+    when: { largeDeletion: { minDeletions: 101, maxAdditionRatio: 0.3 } },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'several-critical',
+    description: 'Two or more critical files changed',
+    when: { minCriticalFiles: 2 },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'high-keywords',
+    description: 'Urgent keywords in the message (whole words, so not "prefix")',
+    when: { message: `\\b(${HIGH_PRIORITY_KEYWORDS.join('|')})(es|ed|ing)?\\b` },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'conventional-fix',
+    description: 'Conventional Commits fixes',
+    when: { conventionalTypes: ['fix'] },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'conventional-feature',
+    description: 'Conventional Commits features and performance work on critical files',
+    when: { conventionalTypes: ['feat', 'perf'], minCriticalFiles: 1 },
+    then: { priority: 'high' }
+  },
+  {
+    id: 'critical',
+    description: 'A critical file changed',
+    when: { minCriticalFiles: 1 },
+    then: { priority: 'medium' }
+  },
+  {
+    id: 'large-commit',
+    description: 'More than 500 changed lines',
+    when: { minLines: 501 },
+    then: { priority: 'medium' }
+  },
+  {
+    id: 'low-keywords',
+    description: 'Formatting and chores',
+    when: { message: 'format|formatting|style|chore|refactor|rename' },
+    then: { priority: 'low' }
+  },
+  {
+    id: 'default',
+    description: 'Everything else',
+    then: { priority: 'medium' }
+  }
+];
+
+/**
+ * Ids of the built-in rules, saved with a ruleset to tell later additions from deleted rules
+ */
+export const BUILT_IN_RULE_IDS = DEFAULT_CLASSIFICATION_RULES.map(rule => rule.id).filter(Boolean);
+
+/**
+ * Add the built-in rules a saved ruleset has not seen yet
+ * Each one goes before the next built-in rule the ruleset still has, so it keeps its place
+ * ahead of later rules (e.g. the catch-all default).
+ * 
+ * @param {Array} rules - Saved ruleset
+ * @param {Array<string>} knownIds - Built-in rule ids the ruleset was saved with
+ * @returns {Array} Ruleset with the new built-in rules
+ */
+function mergeBuiltInRules(rules, knownIds) {
+  const known = new Set(knownIds);
+  const merged = [...rules];
+  
+  DEFAULT_CLASSIFICATION_RULES.forEach((rule, index) => {
+    if (!rule.id || known.has(rule.id)) return;
+    
+    const next = DEFAULT_CLASSIFICATION_RULES.slice(index + 1)
+      .find(later => later.id && merged.some(saved => saved.id === later.id));
+    const position = next ? merged.findIndex(saved => saved.id === next.id) : merged.length;
+    merged.splice(position, 0, rule);
+  });
+  
+  return merged;
+}
+
+/**
+ * Get the active classification rules
+ * @param {Object} settings - User settings
+ * @returns {Array} Saved ruleset (with built-in rules added since it was saved), or the default one
+ */
+export function getClassificationRules(settings) {
+  const saved = settings?.classificationRules;
+  if (!saved) return DEFAULT_CLASSIFICATION_RULES;
+  
+  // Rulesets saved before the ids were recorded count the built-in rules they still contain as known
+  return mergeBuiltInRules(saved, settings.classificationRuleIds || saved.map(rule => rule.id));
+}
+
+/**
+ * Check if a repository's primary language is one of a rule's languages (case-insensitive)
+ * @param {Object|null} repo - Repository
+ * @param {Array<string>} languages - Language names, e.g. ['Java', 'Kotlin']
+ * @returns {boolean}
+ */
+function matchesLanguage(repo, languages) {
+  const language = repo?.language?.toLowerCase();
+  return !!language && languages.some(name => name.toLowerCase() === language);
+}
+
+/**
+ * Get the enabled rules of one kind that apply to a repository
+ * 
+ * @param {Array} rules - Ruleset
+ * @param {string} kind - 'category', 'weight' or 'priority'
+ * @param {Object|null} repo - Repository (null = no per-repo rules)
+ * @returns {Array}
+ */
+export function getApplicableRules(rules, kind, repo) {
+  return rules.filter(rule =>
+    rule.enabled !== false &&
+    rule.then?.[kind] !== undefined &&
+    (!rule.repos || (repo && rule.repos.some(pattern => matchesGlob(repo.full_name, pattern)))) &&
+    (!rule.languages || matchesLanguage(repo, rule.languages))
+  );
+}
+
+/**
+ * Check if a path matches any of a rule's path globs (case-insensitive)
+ * @param {string} path - File path
+ * @param {Array<string>} patterns - Globs
+ * @returns {boolean}
+ */
+export function matchesRulePath(path, patterns) {
+  const lowerPath = path.toLowerCase();
+  return patterns.some(pattern => matchesGlob(lowerPath, pattern.toLowerCase()));
+}
+
+/**
+ * Check if a changed file has one of the given statuses
+ * @param {Object} file - Changed file ({ status, binary })
+ * @param {Array<string>} statuses - 'added', 'removed', 'renamed', 'modified', 'binary'
+ * @returns {boolean}
+ */
+function matchesFileStatus(file, statuses) {
+  return statuses.includes(file.status || 'modified') || (!!file.binary && statuses.includes('binary'));
+}
+
+/**
+ * Check the per-file conditions of a rule (paths and fileStatus) against one changed file
+ * A renamed file also matches by its previous path: moving the auth module is an auth change.
+ * 
+ * @param {Object} file - Changed file ({ filename, previous_filename, status, binary })
+ * @param {Object} when - Rule conditions
+ * @returns {boolean}
+ */
+export function matchesChangedFile(file, when = {}) {
+  if (when.paths && ![file.filename, file.previous_filename].some(path => path && matchesRulePath(path, when.paths))) {
+    return false;
+  }
+  return !when.fileStatus || matchesFileStatus(file, when.fileStatus);
+}
+
+/**
+ * Describe a changed file with its status, for evidence
+ * 
+ * @param {Object} file - Changed file, or critical file entry ({ filename, previousFilename, status, binary })
+ * @param {Array<string>} details - Labels shown before the status
+ * @returns {string} e.g. 'db/migrations/001.sql (database, weight 2, removed)',
+ *                   'src/auth.js → src/session.js (renamed)'
+ */
+export function describeChangedFile(file, details = []) {
+  const previous = file.previous_filename || file.previousFilename;
+  const name = file.status === 'renamed' && previous ? `${previous} → ${file.filename}` : file.filename;
+  const labels = [...details, ['added', 'removed', 'renamed'].includes(file.status) && file.status, file.binary && 'binary']
+    .filter(Boolean);
+  return labels.length > 0 ? `${name} (${labels.join(', ')})` : name;
+}
+
+/**
+ * Get the critical files with one of the given statuses
+ * @param {Array} criticalFiles - Critical file entries (facts.criticalFiles)
+ * @param {Array<string>|undefined} statuses - Rule's fileStatus condition (all files when unset)
+ * @returns {Array}
+ */
+function getCriticalFilesWithStatus(criticalFiles = [], statuses) {
+  return statuses ? criticalFiles.filter(file => matchesFileStatus(file, statuses)) : criticalFiles;
+}
+
+/**
+ * Check the commit-level conditions of a rule (everything except per-file paths)
+ * 
+ * @param {Object} when - Rule conditions
+ * @param {Object} commit - Commit object
+ * @param {Object} facts - { type, conventional, criticalFiles, maxWeight, ownedFiles, dependencyChanges }
+ *                         (only for priority rules)
+ * @returns {boolean}
+ */
+export function matchesCommitConditions(when = {}, commit, facts = {}) {
+  const files = commit.files || [];
+  const lines = (commit.stats?.additions || 0) + (commit.stats?.deletions || 0);
+  const criticalFiles = getCriticalFilesWithStatus(facts.criticalFiles, when.fileStatus);
+  
+  if (when.conventionalTypes || when.scopes || when.breaking !== undefined) {
+    const conventional = facts.conventional !== undefined
+      ? facts.conventional
+      : parseConventionalCommit(commit.commit?.message);
+    
+    if (when.conventionalTypes && !when.conventionalTypes.includes(conventional?.type)) return false;
+    if (when.scopes && !(conventional?.scope && when.scopes.some(pattern => matchesGlob(conventional.scope, pattern)))) {
+      return false;
+    }
+    if (when.breaking !== undefined && !!conventional?.breaking !== when.breaking) return false;
+  }
+  
+  if (when.message && !new RegExp(when.message, 'i').test(commit.commit?.message || '')) {
+    return false;
+  }
+  
+  if (when.authors) {
+    const identities = [commit.author?.login, commit.commit?.author?.name, commit.commit?.author?.email]
+      .filter(Boolean)
+      .map(identity => identity.toLowerCase());
+    if (!when.authors.some(pattern => identities.some(identity => matchesGlob(identity, pattern.toLowerCase())))) {
+      return false;
+    }
+  }
+  
+  if (when.types && !when.types.includes(facts.type)) return false;
+  if (when.minFiles !== undefined && files.length < when.minFiles) return false;
+  if (when.maxFiles !== undefined && files.length > when.maxFiles) return false;
+  if (when.minLines !== undefined && lines < when.minLines) return false;
+  if (when.maxLines !== undefined && lines > when.maxLines) return false;
+  if (when.minCriticalWeight !== undefined &&
+      Math.max(0, ...criticalFiles.map(file => file.weight)) < when.minCriticalWeight) {
+    return false;
+  }
+  if (when.minCriticalFiles !== undefined && criticalFiles.length < when.minCriticalFiles) return false;
+  if (when.minOwnedFiles !== undefined && (facts.ownedFiles?.length || 0) < when.minOwnedFiles) return false;
+  if (when.dependencyChanges &&
+      !(facts.dependencyChanges || []).some(change => matchesDependencyKinds(change, when.dependencyChanges))) {
+    return false;
+  }
+  
+  if (when.largeDeletion) {
+    const { minDeletions = 101, maxAdditionRatio = 0.3 } = when.largeDeletion;
+    const hasLargeDeletion = files.some(file =>
+      (file.deletions || 0) >= minDeletions && (file.additions || 0) < (file.deletions || 0) * maxAdditionRatio
+    );
+    if (!hasLargeDeletion) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Describe the evidence for the conditions of a matching rule
+ * 
+ * @param {Object} when - Rule conditions (already known to match)
+ * @param {Object} commit - Commit object
+ * @param {Object} facts - { type, conventional, criticalFiles, maxWeight, ownedFiles, dependencyChanges }
+ * @returns {Array<string>} e.g. ['message contains "fix"', 'src/auth.js (security, weight 3)']
+ */
+export function explainCommitConditions(when = {}, commit, facts = {}) {
+  const files = commit.files || [];
+  const additions = commit.stats?.additions || 0;
+  const deletions = commit.stats?.deletions || 0;
+  const criticalFiles = getCriticalFilesWithStatus(facts.criticalFiles, when.fileStatus);
+  const evidence = [];
+  
+  if (when.paths) {
+    const file = files.find(f => matchesChangedFile(f, when));
+    if (file) {
+      evidence.push(`${describeChangedFile(file)} matches ${when.paths.length === 1 ? when.paths[0] : 'path rule'}`);
+    }
+  } else if (when.fileStatus && when.minCriticalWeight === undefined && when.minCriticalFiles === undefined) {
+    const file = files.find(f => matchesChangedFile(f, when));
+    if (file) evidence.push(describeChangedFile(file));
+  }
+  if (when.message) {
+    const match = (commit.commit?.message || '').match(new RegExp(when.message, 'i'));
+    if (match) evidence.push(`message contains "${match[0]}"`);
+  }
+  if (when.authors) {
+    evidence.push(`author ${commit.author?.login || commit.commit?.author?.name || commit.commit?.author?.email}`);
+  }
+  if (when.types) {
+    evidence.push(['code', 'merge', 'bot'].includes(facts.type) ? `${facts.type} commit` : `${facts.type}-only commit`);
+  }
+  if (when.conventionalTypes || when.scopes) {
+    const { type, scope } = facts.conventional || {};
+    evidence.push(`Conventional Commits type ${type}${scope ? `(${scope})` : ''}`);
+  }
+  if (when.breaking) {
+    const [change] = facts.conventional?.breakingChanges || [];
+    evidence.push(change ? `BREAKING CHANGE: ${change}` : 'breaking change marker (!)');
+  }
+  if (when.minFiles !== undefined || when.maxFiles !== undefined) {
+    evidence.push(`${files.length} files changed`);
+  }
+  if (when.minLines !== undefined || when.maxLines !== undefined) {
+    evidence.push(`${additions + deletions} lines changed (+${additions} -${deletions})`);
+  }
+  if (when.minCriticalWeight !== undefined || when.minCriticalFiles !== undefined) {
+    const shown = when.minCriticalWeight !== undefined
+      ? criticalFiles.filter(file => file.weight >= when.minCriticalWeight)
+      : criticalFiles;
+    evidence.push(...shown.map(file => describeChangedFile(file, [file.category, `weight ${file.weight}`])));
+  }
+  if (when.minOwnedFiles !== undefined) {
+    evidence.push(...(facts.ownedFiles || []).map(file => `${file.filename} (${file.owners.join(', ')})`));
+  }
+  if (when.dependencyChanges) {
+    evidence.push(...(facts.dependencyChanges || [])
+      .filter(change => matchesDependencyKinds(change, when.dependencyChanges))
+      .map(change => `${formatDependencyChange(change)} in ${change.manifest}`));
+  }
+  if (when.largeDeletion) {
+    const { minDeletions = 101, maxAdditionRatio = 0.3 } = when.largeDeletion;
+    const file = files.find(f =>
+      (f.deletions || 0) >= minDeletions && (f.additions || 0) < (f.deletions || 0) * maxAdditionRatio
+    );
+    if (file) evidence.push(`${file.filename}: -${file.deletions} +${file.additions || 0}`);
+  }
+  
+  return evidence;
+}
+
+/**
+ * Find the first rule of a kind that matches a single file
+ * 
+ * @param {Array} rules - Applicable rules of one kind
+ * @param {Object} file - Changed file ({ filename, ... })
+ * @param {Object} commit - Commit object
+ * @returns {Object|undefined} Matching rule
+ */
+export function findFileRule(rules, file, commit) {
+  return rules.find(rule =>
+    rule.when?.paths &&
+    matchesChangedFile(file, rule.when) &&
+    matchesCommitConditions(rule.when, commit)
+  );
+}
+
+/**
+ * Validate a user-edited ruleset
+ * @param {*} rules - Parsed ruleset
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateClassificationRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'Rules must be a JSON array';
+  }
+  
+  for (const [index, rule] of rules.entries()) {
+    const name = `Rule ${rule?.id || index + 1}`;
+    if (!rule || typeof rule !== 'object' || !rule.then || typeof rule.then !== 'object') {
+      return `${name}: needs a "then" object`;
+    }
+    
+    const { then, when = {} } = rule;
+    const effects = ['category', 'weight', 'priority'].filter(kind => then[kind] !== undefined);
+    if (effects.length !== 1) {
+      return `${name}: "then" must set exactly one of category, weight or priority`;
+    }
+    if (then.priority !== undefined && !PRIORITIES.includes(then.priority)) {
+      return `${name}: priority must be high, medium or low`;
+    }
+    if (then.weight !== undefined && (typeof then.weight !== 'number' || then.weight < 0)) {
+      return `${name}: weight must be a number >= 0`;
+    }
+    if (then.category !== undefined && (typeof then.category !== 'string' || !then.category)) {
+      return `${name}: category must be a name`;
+    }
+    if ((then.category !== undefined || then.weight !== undefined) && !when.paths) {
+      return `${name}: category and weight rules need "when.paths"`;
+    }
+    
+    for (const key of ['paths', 'fileStatus', 'authors', 'types', 'conventionalTypes', 'scopes', 'dependencyChanges']) {
+      if (when[key] !== undefined && !(Array.isArray(when[key]) && when[key].every(v => typeof v === 'string'))) {
+        return `${name}: "${key}" must be a list of strings`;
+      }
+    }
+    if (when.breaking !== undefined && typeof when.breaking !== 'boolean') {
+      return `${name}: "breaking" must be true or false`;
+    }
+    if (rule.repos !== undefined && !(Array.isArray(rule.repos) && rule.repos.every(v => typeof v === 'string'))) {
+      return `${name}: "repos" must be a list of strings`;
+    }
+    if (rule.languages !== undefined && !(Array.isArray(rule.languages) && rule.languages.every(v => typeof v === 'string'))) {
+      return `${name}: "languages" must be a list of strings`;
+    }
+    for (const key of NUMBER_CONDITIONS) {
+      if (when[key] !== undefined && typeof when[key] !== 'number') {
+        return `${name}: "${key}" must be a number`;
+      }
+    }
+    if (when.message !== undefined) {
+      try {
+        new RegExp(when.message, 'i');
+      } catch (error) {
+        return `${name}: invalid message regex (${error.message})`;
+      }
+    }
+  }
+  
+  return null;
+}
\ No newline at end of file
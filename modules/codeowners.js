@@ -0,0 +1,231 @@
+/**
+ * Commit Watch - CODEOWNERS
+ * 
+ * Finds the changed files of a commit that are owned by the user or one of
+ * their teams, from the CODEOWNERS file of the repository's default branch:
+ * - GitHub: .github/CODEOWNERS, CODEOWNERS or docs/CODEOWNERS (first found)
+ * - GitLab: CODEOWNERS, docs/CODEOWNERS or .gitlab/CODEOWNERS (first found)
+ * 
+ * Parsed files and the user's handles (login, email, teams / groups) are
+ * cached for a day.
+ */
+
+import { fetchGitHub } from './github-api.js';
+import { fetchGitLab } from './gitlab-api.js';
+import { getStorage, setStorage } from './storage.js';
+import { getAccount } from './accounts.js';
+import { getRepoKey, matchesGlob } from './utils.js';
+
+const CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const CODEOWNERS_LOCATIONS = {
+  github: ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'],
+  gitlab: ['CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS']
+};
+
+/**
+ * Pending handle lookups per account (repositories are checked in parallel)
+ */
+const pendingHandles = new Map();
+
+/**
+ * Parse a CODEOWNERS file
+ * GitLab sections ('[Backend] @backend-team', '^[Optional]') each have their
+ * own rules; a pattern without owners in a section uses the section's owners.
+ * 
+ * @param {string} text - File contents
+ * @returns {Array} Sections: [{ rules: [{ pattern, owners }] }]
+ */
+export function parseCodeowners(text) {
+  const sections = [{ defaultOwners: [], rules: [] }];
+  
+  for (const rawLine of text.split('\n')) {
+    // '#' starts a comment at the line start or after whitespace, '\#' is literal
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+    
+    const section = line.match(/^\^?\[[^\]]+\](?:\[\d+\])?(.*)$/);
+    if (section) {
+      sections.push({ defaultOwners: section[1].trim().split(/\s+/).filter(Boolean), rules: [] });
+      continue;
+    }
+    
+    const [pattern, ...owners] = line.split(/\s+/);
+    const current = sections[sections.length - 1];
+    current.rules.push({
+      pattern: pattern.replace(/\\#/g, '#'),
+      owners: owners.length > 0 ? owners : current.defaultOwners
+    });
+  }
+  
+  return sections
+    .filter(section => section.rules.length > 0)
+    .map(({ rules }) => ({ rules }));
+}
+
+/**
+ * Check if a path matches a CODEOWNERS pattern (gitignore-style)
+ * 
+ * @param {string} path - File path relative to the repository root
+ * @param {string} pattern - e.g. '*.js', '/docs/', 'apps/**', 'build/logs'
+ * @returns {boolean}
+ */
+function matchesCodeownersPattern(path, pattern) {
+  const directoryOnly = pattern.endsWith('/');
+  const trimmed = pattern.replace(/^\//, '').replace(/\/$/, '');
+  
+  // Patterns without an inner slash match at any depth
+  const anchored = pattern.startsWith('/') || trimmed.includes('/');
+  const glob = anchored ? trimmed : `**/${trimmed}`;
+  
+  // A matching directory owns everything below it ('docs/*' only owns direct children)
+  if (!directoryOnly && matchesGlob(path, glob)) return true;
+  return !glob.endsWith('/*') && matchesGlob(path, `${glob}/**`);
+}
+
+/**
+ * Get the owners of a path (the last matching rule of each section)
+ * 
+ * @param {Array} sections - Parsed CODEOWNERS sections
+ * @param {string} path - File path
+ * @returns {Array<string>} Owners, e.g. ['@octocat', '@acme/backend']
+ */
+export function getPathOwners(sections, path) {
+  return sections.flatMap(({ rules }) => {
+    const rule = rules.findLast(r => matchesCodeownersPattern(path, r.pattern));
+    return rule ? rule.owners : [];
+  });
+}
+
+/**
+ * Find the changed files owned by the user or one of their teams
+ * 
+ * @param {Array} files - Changed files of a commit
+ * @param {Object|null} ownership - Result of getCodeOwnership
+ * @returns {Array} [{ filename, owners }] with the matching owners of each file
+ */
+export function findOwnedFiles(files, ownership) {
+  if (!ownership || !files) return [];
+  
+  return files
+    .map(file => ({
+      filename: file.filename,
+      owners: getPathOwners(ownership.sections, file.filename)
+        .filter(owner => ownership.handles.includes(owner.toLowerCase()))
+    }))
+    .filter(file => file.owners.length > 0);
+}
+
+/**
+ * Fetch and parse the CODEOWNERS file of a repository
+ * @param {Object} repo - Repository object
+ * @returns {Promise<Array>} Sections (empty when the repository has none)
+ */
+async function fetchCodeowners(repo) {
+  const ref = encodeURIComponent(repo.default_branch);
+  
+  for (const path of CODEOWNERS_LOCATIONS[repo.platform || 'github']) {
+    const response = repo.platform === 'gitlab'
+      ? await fetchGitLab(
+        `/projects/${repo.id}/repository/files/${encodeURIComponent(path)}/raw?ref=${ref}`,
+        { account: repo.accountId }
+      )
+      : await fetchGitHub(
+        `/repos/${repo.full_name}/contents/${path}?ref=${ref}`,
+        { account: repo.accountId, headers: { 'Accept': 'application/vnd.github.raw' } }
+      );
+    
+    if (response.ok) {
+      return parseCodeowners(await response.text());
+    }
+    if (response.status !== 404) {
+      throw new Error(`Failed to fetch ${path}: ${response.status}`);
+    }
+  }
+  
+  return [];
+}
+
+/**
+ * Fetch the handles an account can be listed under in CODEOWNERS
+ * Team memberships need the read:org scope on GitHub; without it only
+ * the user's own login and email are matched.
+ * 
+ * @param {Object} account - Connected account
+ * @returns {Promise<Array<string>>} Lowercase handles, e.g. ['@octocat', '@acme/backend']
+ */
+async function fetchOwnerHandles(account) {
+  const handles = [`@${account.user.login}`];
+  if (account.user.email) {
+    handles.push(account.user.email);
+  }
+  
+  if (account.platform === 'gitlab') {
+    const response = await fetchGitLab('/groups?min_access_level=10&per_page=100', { account });
+    if (response.ok) {
+      handles.push(...(await response.json()).map(group => `@${group.full_path}`));
+    }
+  } else {
+    const response = await fetchGitHub('/user/teams?per_page=100', { account });
+    if (response.ok) {
+      handles.push(...(await response.json()).map(team => `@${team.organization.login}/${team.slug}`));
+    }
+  }
+  
+  return handles.map(handle => handle.toLowerCase());
+}
+
+/**
+ * Get the cached handles of an account, refreshing them once a day
+ * @param {Object} account - Connected account
+ * @returns {Promise<Array<string>>}
+ */
+async function getOwnerHandles(account) {
+  const { ownerHandles = {} } = await getStorage('ownerHandles');
+  const cached = ownerHandles[account.id];
+  if (cached && Date.now() - cached.updated < CACHE_MAX_AGE) {
+    return cached.handles;
+  }
+  
+  if (!pendingHandles.has(account.id)) {
+    pendingHandles.set(account.id, fetchOwnerHandles(account).finally(() => pendingHandles.delete(account.id)));
+  }
+  const handles = await pendingHandles.get(account.id);
+  
+  const { ownerHandles: current = {} } = await getStorage('ownerHandles');
+  await setStorage({ ownerHandles: { ...current, [account.id]: { handles, updated: Date.now() } } });
+  
+  return handles;
+}
+
+/**
+ * Get the code ownership of a repository, for the account it is watched through
+ * 
+ * @param {Object} repo - Repository object
+ * @returns {Promise<Object|null>} { sections, handles }, or null when the
+ *                                 repository has no CODEOWNERS file or it cannot be read
+ */
+export async function getCodeOwnership(repo) {
+  try {
+    const account = await getAccount(repo.accountId);
+    if (!account?.user) return null;
+    
+    const repoKey = getRepoKey(repo);
+    const { codeOwners = {} } = await getStorage('codeOwners');
+    let cached = codeOwners[repoKey];
+    
+    if (!cached || Date.now() - cached.updated > CACHE_MAX_AGE) {
+      cached = { sections: await fetchCodeowners(repo), updated: Date.now() };
+      
+      const { codeOwners: current = {} } = await getStorage('codeOwners');
+      await setStorage({ codeOwners: { ...current, [repoKey]: cached } });
+    }
+    
+    if (cached.sections.length === 0) return null;
+    
+    return { sections: cached.sections, handles: await getOwnerHandles(account) };
+  } catch (error) {
+    console.error(`[Commit Watch] Error reading CODEOWNERS of ${repo.full_name}:`, error);
+    return null;
+  }
+}
\ No newline at end of file
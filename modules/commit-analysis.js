@@ -2,130 +2,67 @@
  * Commit Watch - Commit Analysis and Priority Classification
  */
 
-import { HIGH_PRIORITY_KEYWORDS } from './constants.js';
+import {
+  DEFAULT_CLASSIFICATION_RULES,
+  getApplicableRules,
+  findFileRule,
+  matchesChangedFile,
+  matchesCommitConditions,
+  explainCommitConditions,
+  describeChangedFile
+} from './classification-rules.js';
+import { parseConventionalCommit } from './conventional-commits.js';
+import { findOwnedFiles } from './codeowners.js';
+import { detectBotAuthor } from './commit-authors.js';
 
 /**
  * Analyze commit type based on structure and files changed
- * Does NOT rely on commit message keywords
+ * Files are categorized by the category rules (see classification-rules.js);
+ * does NOT rely on commit message keywords unless a rule asks for it
  * 
  * @param {Object} commit - Commit object from GitHub API
- * @returns {Object} Commit analysis: { type, details }
+ * @param {Array} rules - Classification rules (defaults to the built-in ruleset)
+ * @param {Object|null} repo - Repository, to apply per-repo rules
+ * @returns {Object} Commit analysis: { type, details, conventional }
+ *   conventional is the parsed Conventional Commits header, or null
  */
-export function analyzeCommitType(commit) {
+export function analyzeCommitType(commit, rules = DEFAULT_CLASSIFICATION_RULES, repo = null) {
+  const conventional = parseConventionalCommit(commit.commit?.message);
+  
   // 1. Detect MERGE commits by parent count
   // Merge commits have 2+ parents
   if (commit.parents && commit.parents.length >= 2) {
-    return { type: 'merge', details: { parentCount: commit.parents.length } };
+    return { type: 'merge', details: { parentCount: commit.parents.length }, conventional };
+  }
+  
+  // 2. Detect BOT authors (Dependabot, Renovate, GitHub Apps, GitLab token bots)
+  const bot = detectBotAuthor(commit);
+  if (bot) {
+    return { type: 'bot', details: { bot }, conventional };
   }
   
-  // 2. Analyze changed files
+  // 3. Analyze changed files
   if (commit.files && commit.files.length > 0) {
-    const filePatterns = {
-      docs: [
-        /\.md$/i,                    // Markdown
-        /\.mdx$/i,                   // MDX (React markdown)
-        /\.adoc$/i,                  // AsciiDoc
-        /\.rst$/i,                   // reStructuredText
-        /\.txt$/i,                   // Plain text docs
-        /^docs\//i,                  // docs/ directory
-        /^documentation\//i,         // documentation/ directory
-        /^\.github\/ISSUE_TEMPLATE/i, // Issue templates
-        /^\.github\/PULL_REQUEST_TEMPLATE/i, // PR templates
-        /^README/i,                  // README files
-        /^CHANGELOG/i,               // CHANGELOG
-        /^CONTRIBUTING/i,            // CONTRIBUTING
-        /^AUTHORS/i,                 // AUTHORS
-        /^CREDITS/i,                 // CREDITS
-        /^LICENSE/i,                 // LICENSE
-        /^COPYING/i,                 // COPYING
-        /^man\//i,                   // man pages
-        /\.1$/i,                     // man page files
-        /^wiki\//i                   // Wiki files
-      ],
-      config: [
-        /package\.json$/i,           // npm
-        /package-lock\.json$/i,      // npm lock
-        /yarn\.lock$/i,              // Yarn lock
-        /pnpm-lock\.yaml$/i,         // pnpm lock
-        /composer\.json$/i,          // PHP Composer
-        /Gemfile/i,                  // Ruby
-        /requirements\.txt$/i,       // Python
-        /Pipfile/i,                  // Python Pipenv
-        /poetry\.lock$/i,            // Python Poetry
-        /Cargo\.toml$/i,             // Rust
-        /go\.mod$/i,                 // Go
-        /\.env\.example$/i,          // Environment examples
-        /\.editorconfig$/i,          // Editor config
-        /\.gitignore$/i,             // Git ignore
-        /\.gitattributes$/i,         // Git attributes
-        /\.npmrc$/i,                 // npm config
-        /\.(eslintrc|prettierrc)/i, // Linting/formatting
-        /tsconfig\.json$/i,          // TypeScript config
-        /jsconfig\.json$/i           // JavaScript config
-      ],
-      ci: [
-        /^\.github\/workflows\//i,   // GitHub Actions
-        /^\.gitlab-ci\.yml$/i,       // GitLab CI
-        /^\.travis\.yml$/i,          // Travis CI
-        /^Jenkinsfile$/i,            // Jenkins
-        /^\.circleci\//i,            // CircleCI
-        /^azure-pipelines\.yml$/i,   // Azure Pipelines
-        /^Dockerfile$/i,             // Docker
-        /^docker-compose/i,          // Docker Compose
-        /^\.dockerignore$/i          // Docker ignore
-      ],
-      tests: [
-        /\.(test|spec)\.(js|ts|jsx|tsx|py|rb|go|rs)$/i, // Test files
-        /^tests?\//i,                // test/tests directory
-        /^__tests__\//i,             // Jest tests
-        /^spec\//i,                  // RSpec/other specs
-        /\.test$/i                   // Generic test files
-      ],
-      localization: [
-        /^locales?\//i,              // Locale directories
-        /^i18n\//i,                  // Internationalization
-        /^lang\//i,                  // Language files
-        /\.(po|pot|mo)$/i,          // gettext files
-        /^translations?\//i          // Translation directories
-      ]
-    };
+    const categoryRules = getApplicableRules(rules, 'category', repo);
     
-    // Categorize each file
-    const categories = { docs: 0, config: 0, ci: 0, tests: 0, localization: 0, code: 0 };
+    // Categorize each file (first matching rule wins, unmatched files are code)
+    const categories = Object.fromEntries([
+      ...categoryRules.map(rule => [rule.then.category, 0]),
+      ['code', 0]
+    ]);
     
     for (const file of commit.files) {
-      let categorized = false;
-      
-      for (const [category, patterns] of Object.entries(filePatterns)) {
-        if (patterns.some(pattern => pattern.test(file.filename))) {
-          categories[category]++;
-          categorized = true;
-          break;
-        }
-      }
-      
-      if (!categorized) {
-        categories.code++;
-      }
+      const category = findFileRule(categoryRules, file, commit)?.then.category || 'code';
+      categories[category]++;
     }
     
     const totalFiles = commit.files.length;
     
     // If ALL files are in a single non-code category, return that type
-    if (categories.docs === totalFiles) {
-      return { type: 'docs', details: { fileCount: totalFiles } };
-    }
-    if (categories.config === totalFiles) {
-      return { type: 'config', details: { fileCount: totalFiles } };
-    }
-    if (categories.ci === totalFiles) {
-      return { type: 'ci', details: { fileCount: totalFiles } };
-    }
-    if (categories.tests === totalFiles) {
-      return { type: 'tests', details: { fileCount: totalFiles } };
-    }
-    if (categories.localization === totalFiles) {
-      return { type: 'localization', details: { fileCount: totalFiles } };
+    const [singleCategory] = Object.entries(categories)
+      .find(([category, count]) => category !== 'code' && count === totalFiles) || [];
+    if (singleCategory) {
+      return { type: singleCategory, details: { fileCount: totalFiles }, conventional };
     }
     
     // Mixed or primarily code changes
@@ -136,80 +73,51 @@ export function analyzeCommitType(commit) {
         categories,
         additions: commit.stats?.additions || 0,
         deletions: commit.stats?.deletions || 0
-      } 
+      },
+      conventional
     };
   }
   
-  // 3. No file info available - assume code
-  return { type: 'code', details: {} };
+  // 4. No file info available - assume code
+  return { type: 'code', details: {}, conventional };
 }
 
 /**
  * Detect if files are critical system components (automatic detection)
+ * Uses the critical file rules (weight 0 marks a file as not critical)
  * 
  * @param {Array} files - Array of file objects from commit
+ * @param {Array} rules - Classification rules (defaults to the built-in ruleset)
+ * @param {Object|null} repo - Repository, to apply per-repo rules
+ * @param {Object} commit - Commit the files belong to (for message/author conditions)
  * @returns {Object} Critical file analysis
  */
-export function analyzeCriticalFiles(files) {
+export function analyzeCriticalFiles(files, rules = DEFAULT_CLASSIFICATION_RULES, repo = null, commit = { files }) {
   if (!files || files.length === 0) {
     return { hasCritical: false, criticalFiles: [] };
   }
   
-  const criticalPatterns = [
-    // Security & Authentication
-    { pattern: /auth/i, category: 'security', weight: 3 },
-    { pattern: /security/i, category: 'security', weight: 3 },
-    { pattern: /login/i, category: 'security', weight: 3 },
-    { pattern: /password/i, category: 'security', weight: 3 },
-    { pattern: /token/i, category: 'security', weight: 3 },
-    { pattern: /session/i, category: 'security', weight: 2 },
-    { pattern: /crypto/i, category: 'security', weight: 3 },
-    { pattern: /encrypt/i, category: 'security', weight: 3 },
-    
-    // Core system files
-    { pattern: /^(src\/)?index\.(js|ts|jsx|tsx|py|rb|go|rs)$/i, category: 'core', weight: 2 },
-    { pattern: /^(src\/)?main\.(js|ts|jsx|tsx|py|rb|go|rs)$/i, category: 'core', weight: 2 },
-    { pattern: /^(src\/)?app\.(js|ts|jsx|tsx|py|rb|go|rs)$/i, category: 'core', weight: 2 },
-    { pattern: /^(src\/)?server\.(js|ts|jsx|tsx|py|rb|go|rs)$/i, category: 'core', weight: 2 },
-    { pattern: /kernel/i, category: 'core', weight: 3 },
-    { pattern: /engine/i, category: 'core', weight: 2 },
-    
-    // Database & Data
-    { pattern: /migration/i, category: 'database', weight: 2 },
-    { pattern: /schema/i, category: 'database', weight: 2 },
-    { pattern: /database/i, category: 'database', weight: 2 },
-    { pattern: /models?\//i, category: 'database', weight: 2 },
-    
-    // API endpoints
-    { pattern: /api\//i, category: 'api', weight: 1 },
-    { pattern: /routes?\//i, category: 'api', weight: 1 },
-    { pattern: /controllers?\//i, category: 'api', weight: 1 },
-    { pattern: /endpoints?\//i, category: 'api', weight: 1 },
-    
-    // Build & Dependencies (critical if changes break builds)
-    { pattern: /webpack/i, category: 'build', weight: 2 },
-    { pattern: /vite\.config/i, category: 'build', weight: 2 },
-    { pattern: /rollup/i, category: 'build', weight: 2 },
-    { pattern: /babel/i, category: 'build', weight: 1 }
-  ];
-  
+  const criticalRules = getApplicableRules(rules, 'weight', repo);
   const criticalFiles = [];
   let maxWeight = 0;
   
   for (const file of files) {
-    for (const { pattern, category, weight } of criticalPatterns) {
-      if (pattern.test(file.filename)) {
-        criticalFiles.push({
-          filename: file.filename,
-          category,
-          weight,
-          changes: file.changes || 0,
-          additions: file.additions || 0,
-          deletions: file.deletions || 0
-        });
-        maxWeight = Math.max(maxWeight, weight);
-        break; // Only match first pattern per file
-      }
+    // Only the first matching rule counts per file
+    const rule = findFileRule(criticalRules, file, commit);
+    if (rule && rule.then.weight > 0) {
+      criticalFiles.push({
+        filename: file.filename,
+        category: rule.then.critical || 'critical',
+        weight: rule.then.weight,
+        rule: rule.id,
+        status: file.status || 'modified',
+        previousFilename: file.previous_filename || null,
+        binary: !!file.binary,
+        changes: file.changes || 0,
+        additions: file.additions || 0,
+        deletions: file.deletions || 0
+      });
+      maxWeight = Math.max(maxWeight, rule.then.weight);
     }
   }
   
@@ -224,105 +132,59 @@ export function analyzeCriticalFiles(files) {
 
 /**
  * Classify commit priority based on type, message, and content
- * Analyzes files, changes, and patterns AUTOMATICALLY
+ * The first matching priority rule decides (see classification-rules.js)
  * 
  * @param {Object} commit - Commit object from GitHub API
  * @param {Object} repo - Repository object
  * @param {Object} userData - Current user data
- * @returns {string} Priority level: 'high', 'medium', or 'low'
+ * @param {Array} rules - Classification rules (defaults to the built-in ruleset)
+ * @param {Object} context - Facts fetched beforehand: { ownership, dependencyChanges }
+ *   (CODEOWNERS of the repository, see codeowners.js; manifest changes, see dependency-analysis.js)
+ * @returns {Object} { priority: 'high' | 'medium' | 'low', reasons, ownedFiles, dependencyChanges }
+ *   reasons lists the rules that fired: the deciding priority rule first, then
+ *   the critical file rules, each as { rule, description, effect, evidence: [string] };
+ *   ownedFiles lists the changed files owned by the user or their teams
  */
-export function classifyCommitPriority(commit, repo, userData) {
-  // First, analyze commit type structurally (not by keywords)
-  const analysis = analyzeCommitType(commit);
-  const { type, details } = analysis;
-  
-  // LOW PRIORITY by type (structural detection):
-  // - Merge commits
-  // - Documentation-only changes
-  // - Configuration-only changes (package.json, etc.)
-  // - CI/CD pipeline changes
-  // - Localization/translation updates
-  if (['merge', 'docs', 'config', 'ci', 'localization'].includes(type)) {
-    return 'low';
-  }
-  
-  // Test-only changes: MEDIUM priority (important but not urgent)
-  if (type === 'tests') {
-    return 'medium';
-  }
-  
-  // For CODE commits, analyze files and content AUTOMATICALLY
-  const message = commit.commit.message.toLowerCase();
-  
-  // AUTOMATIC HIGH PRIORITY DETECTION:
-  // 1. Analyze critical files (security, auth, core system)
-  const criticalAnalysis = analyzeCriticalFiles(commit.files);
-  
-  if (criticalAnalysis.isHighPriority) {
-    // High weight security/core files changed
-    return 'high';
-  }
-  
-  // 2. Check for dangerous patterns in changes
-  if (commit.files && commit.files.length > 0) {
-    // Large deletions in code files (potential breaking changes)
-    const hasLargeDeletions = commit.files.some(file => {
-      const deletions = file.deletions || 0;
-      const additions = file.additions || 0;
-      // If deleting >100 lines with minimal additions, likely breaking
-      return deletions > 100 && additions < deletions * 0.3;
-    });
-    
-    if (hasLargeDeletions) {
-      return 'high';
-    }
-    
-    // Multiple critical files modified (even if lower weight)
-    if (criticalAnalysis.hasCritical && criticalAnalysis.criticalFiles.length >= 2) {
-      return 'high';
+export function classifyCommitPriority(commit, repo, userData, rules = DEFAULT_CLASSIFICATION_RULES, context = {}) {
+  const { ownership = null, dependencyChanges = [] } = context;
+  
+  // Analyze commit type structurally and detect critical files
+  const { type, conventional } = analyzeCommitType(commit, rules, repo);
+  const { criticalFiles, maxWeight = 0 } = analyzeCriticalFiles(commit.files, rules, repo, commit);
+  
+  const ownedFiles = findOwnedFiles(commit.files, ownership);
+  const facts = { type, conventional, criticalFiles, maxWeight, ownedFiles, dependencyChanges };
+  
+  const priorityRules = getApplicableRules(rules, 'priority', repo);
+  const rule = priorityRules.find(r => 
+    (!r.when?.paths && !r.when?.fileStatus || (commit.files || []).some(file => matchesChangedFile(file, r.when))) &&
+    matchesCommitConditions(r.when, commit, facts)
+  );
+  
+  // Code commits default to MEDIUM when no rule matches
+  const priority = rule?.then.priority || 'medium';
+  const decidingReason = rule
+    ? {
+      rule: rule.id,
+      description: rule.description || '',
+      effect: `priority ${priority}`,
+      evidence: explainCommitConditions(rule.when, commit, facts)
     }
-  }
-  
-  // 3. Fallback: Check message keywords for edge cases
-  for (const keyword of HIGH_PRIORITY_KEYWORDS) {
-    if (message.includes(keyword)) {
-      return 'high';
-    }
-  }
-  
-  // AUTOMATIC MEDIUM PRIORITY DETECTION:
-  // 1. Changes to critical files with lower weight
-  if (criticalAnalysis.hasCritical) {
-    return 'medium';
-  }
-  
-  // 2. Check change size for large commits
-  if (details.additions || details.deletions) {
-    const totalChanges = details.additions + details.deletions;
-    
-    // Large commits (>500 lines) - potentially important features
-    if (totalChanges > 500) {
-      return 'medium';
-    }
-    
-    // Very large commits (>2000 lines) might be refactors - still MEDIUM
-    if (totalChanges > 2000) {
-      return 'medium';
-    }
-  }
-  
-  // LOW PRIORITY:
-  // - Contains low-priority keywords (formatting, style, chore)
-  const lowKeywords = ['format', 'formatting', 'style', 'chore', 'refactor', 'rename'];
-  for (const keyword of lowKeywords) {
-    if (message.includes(keyword)) {
-      return 'low';
+    : { rule: null, description: 'No priority rule matched', effect: `priority ${priority}`, evidence: [] };
+  
+  // Critical file rules, one reason per rule
+  const criticalReasons = new Map();
+  for (const file of criticalFiles || []) {
+    if (!criticalReasons.has(file.rule)) {
+      criticalReasons.set(file.rule, {
+        rule: file.rule,
+        description: rules.find(r => r.id === file.rule)?.description || '',
+        effect: `${file.category} weight ${file.weight}`,
+        evidence: []
+      });
     }
+    criticalReasons.get(file.rule).evidence.push(describeChangedFile(file));
   }
   
-  // MEDIUM PRIORITY (default for code commits):
-  // - Regular feature additions
-  // - Bug fixes without critical keywords
-  // - Code improvements
-  return 'medium';
+  return { priority, reasons: [decidingReason, ...criticalReasons.values()], ownedFiles, dependencyChanges };
 }
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Commit Watch - Commit Authors
+ * 
+ * Recognizes bot commits (Dependabot, Renovate, GitHub Apps, GitLab project
+ * and group access token bots), parses `Co-authored-by:` trailers and
+ * matches commits against the user's own verified emails.
+ * 
+ * Verified emails are cached per account for a day.
+ */
+
+import { fetchGitHub } from './github-api.js';
+import { fetchGitLab } from './gitlab-api.js';
+import { getStorage, setStorage } from './storage.js';
+import { getAccount } from './accounts.js';
+
+const CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Well-known bots that commit under a plain user account
+const BOT_NAMES = ['dependabot', 'renovate', 'renovate-bot', 'greenkeeper', 'snyk-bot', 'pre-commit-ci', 'gitlab-bot'];
+
+// GitHub Apps ('dependabot[bot]') and GitLab access token bots ('project_42_bot_3f2a...')
+const BOT_LOGIN_PATTERN = /\[bot\]$|^(project|group)_\d+_bot(_\w+)?$/i;
+
+const CO_AUTHOR_PATTERN = /^co-authored-by:\s*(.+?)\s*<([^>]+)>\s*$/gim;
+
+/**
+ * Pending email lookups per account (repositories are checked in parallel)
+ */
+const pendingEmails = new Map();
+
+/**
+ * Detect if a commit was authored by a bot
+ * 
+ * @param {Object} commit - Commit (GitHub format)
+ * @returns {string|null} Bot name (e.g. 'dependabot[bot]'), or null for humans
+ */
+export function detectBotAuthor(commit) {
+  const login = commit.author?.login || '';
+  const name = commit.commit?.author?.name || '';
+  const email = commit.commit?.author?.email || '';
+  
+  if (commit.author?.type === 'Bot') return login || name;
+  
+  const emailUser = email.split('@')[0].replace(/^\d+\+/, '');
+  const candidates = [login, name, emailUser].filter(Boolean);
+  const bot = candidates.find(candidate =>
+    BOT_LOGIN_PATTERN.test(candidate) || BOT_NAMES.includes(candidate.toLowerCase())
+  );
+  return bot || null;
+}
+
+/**
+ * Parse the `Co-authored-by: Name <email>` trailers of a commit message
+ * @param {string} message - Full commit message
+ * @returns {Array} [{ name, email }] (email lowercase, duplicates removed)
+ */
+export function parseCoAuthors(message) {
+  const coAuthors = new Map();
+  for (const [, name, email] of (message || '').matchAll(CO_AUTHOR_PATTERN)) {
+    const normalized = email.trim().toLowerCase();
+    if (!coAuthors.has(normalized)) {
+      coAuthors.set(normalized, { name: name.trim(), email: normalized });
+    }
+  }
+  return [...coAuthors.values()];
+}
+
+/**
+ * Fetch the verified emails of an account
+ * GitHub lists them with the user:email scope; without it only the public
+ * email and the noreply addresses are known. GitLab lists confirmed
+ * secondary emails next to the primary one.
+ * 
+ * @param {Object} account - Connected account
+ * @returns {Promise<Array<string>>} Lowercase emails
+ */
+async function fetchOwnEmails(account) {
+  const { user } = account;
+  const emails = [user.email].filter(Boolean);
+  const host = new URL(account.instanceUrl).host;
+  
+  if (account.platform === 'gitlab') {
+    if (user.id) emails.push(`${user.id}-${user.login}@users.noreply.${host}`);
+    const response = await fetchGitLab('/user/emails', { account });
+    if (response.ok) {
+      emails.push(...(await response.json()).filter(entry => entry.confirmed_at).map(entry => entry.email));
+    }
+  } else {
+    if (user.id) emails.push(`${user.id}+${user.login}@users.noreply.${host}`);
+    emails.push(`${user.login}@users.noreply.${host}`);
+    const response = await fetchGitHub('/user/emails', { account });
+    if (response.ok) {
+      emails.push(...(await response.json()).filter(entry => entry.verified).map(entry => entry.email));
+    }
+  }
+  
+  return [...new Set(emails.map(email => email.toLowerCase()))];
+}
+
+/**
+ * Get the cached verified emails of the account a repository is watched through
+ * 
+ * @param {Object} repo - Repository object
+ * @returns {Promise<Array<string>>} Lowercase emails (empty when they cannot be read)
+ */
+export async function getOwnEmails(repo) {
+  try {
+    const account = await getAccount(repo.accountId);
+    if (!account?.user) return [];
+    
+    const { ownEmails = {} } = await getStorage('ownEmails');
+    const cached = ownEmails[account.id];
+    if (cached && Date.now() - cached.updated < CACHE_MAX_AGE) {
+      return cached.emails;
+    }
+    
+    if (!pendingEmails.has(account.id)) {
+      pendingEmails.set(account.id, fetchOwnEmails(account).finally(() => pendingEmails.delete(account.id)));
+    }
+    const emails = await pendingEmails.get(account.id);
+    
+    const { ownEmails: current = {} } = await getStorage('ownEmails');
+    await setStorage({ ownEmails: { ...current, [account.id]: { emails, updated: Date.now() } } });
+    
+    return emails;
+  } catch (error) {
+    console.error(`[Commit Watch] Error reading own emails for ${repo.full_name}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Check if a commit is the user's own: authored by them, or paired on with them
+ * GitLab commits carry no username, so they are matched by email only.
+ * 
+ * @param {Object} commit - Commit (GitHub format)
+ * @param {Object} currentUser - User data of the account the repository is watched through
+ * @param {Array<string>} ownEmails - Verified emails of the user (lowercase)
+ * @returns {boolean}
+ */
+export function isOwnCommit(commit, currentUser, ownEmails = []) {
+  if (!currentUser) return false;
+  if (commit.author?.login && commit.author.login === currentUser.login) return true;
+  
+  const emails = [
+    commit.commit?.author?.email,
+    ...parseCoAuthors(commit.commit?.message).map(coAuthor => coAuthor.email)
+  ].filter(Boolean).map(email => email.toLowerCase());
+  return emails.some(email => ownEmails.includes(email));
+}
\ No newline at end of file
@@ -8,23 +8,119 @@ import { getStorage, setStorage } from './storage.js';
 import { getSettings } from './settings.js';
 import { incrementUnreadCount } from './badge.js';
 import { classifyCommitPriority, analyzeCommitType } from './commit-analysis.js';
-import { sendCommitNotification } from './notifications.js';
-import { getRepositories } from './repositories.js';
+import { getClassificationRules } from './classification-rules.js';
+import { getCodeOwnership } from './codeowners.js';
+import { scanCommitForSecrets } from './secret-scanning.js';
+import { analyzeDependencyChanges } from './dependency-analysis.js';
+import { getCommitVerification, requiresSignedCommits, violatesSignaturePolicy } from './commit-signatures.js';
+import { detectBotAuthor, getOwnEmails, isOwnCommit } from './commit-authors.js';
+import {
+  sendCommitNotification,
+  sendHistoryRewriteNotification,
+  sendSecretLeakNotification,
+  sendUnsignedCommitNotification,
+  sendBotCommitsNotification
+} from './notifications.js';
+import { getRepositories, getRepositoryLanguage, resolveWatchedBranches } from './repositories.js';
+import { clearValidators, saveValidators, discardRepoValidators } from './conditional-requests.js';
+import { getGitHubRepositorySnapshots } from './github-graphql.js';
+import { recordRepoChecks } from './scheduler.js';
+import { getAccounts } from './accounts.js';
+import { getRepoKey } from './utils.js';
+import { MAX_COMMITS_PER_CHECK } from './constants.js';
 
 /**
- * Fetch latest commit for a GitHub repository's default branch with full details
+ * Count the added and deleted lines of a unified diff
+ * Only hunk lines count, so '+++'/'---' file headers are skipped while added
+ * lines that are empty or start with '+' are not
+ * 
+ * @param {string} diff - Unified diff of one file
+ * @returns {Object} { additions, deletions }
+ */
+function countDiffLines(diff) {
+  let additions = 0;
+  let deletions = 0;
+  let inHunk = false;
+  
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('@@')) {
+      inHunk = true;
+    } else if (inHunk && line.startsWith('+')) {
+      additions++;
+    } else if (inHunk && line.startsWith('-')) {
+      deletions++;
+    }
+  }
+  
+  return { additions, deletions };
+}
+
+/**
+ * Get the status of a file in a GitLab commit diff (GitHub file statuses)
+ * @param {Object} diff - File diff from the GitLab API
+ * @returns {string} 'added', 'removed', 'renamed' or 'modified'
+ */
+function getGitLabFileStatus(diff) {
+  if (diff.new_file) return 'added';
+  if (diff.deleted_file) return 'removed';
+  if (diff.renamed_file) return 'renamed';
+  return 'modified';
+}
+
+/**
+ * Fetch full details (files, stats) for a single GitHub commit
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<Object|null>} Commit with files or null
+ */
+export async function fetchGitHubCommitDetails(repo, sha) {
+  try {
+    const response = await fetchGitHub(
+      `/repos/${repo.full_name}/commits/${sha}`,
+      { account: repo.accountId }
+    );
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch commit ${sha}: ${response.status}`);
+    }
+    
+    const commit = await response.json();
+    
+    // Binary files come without a patch and without line changes (pure renames have neither too)
+    commit.files = (commit.files || []).map(file => ({
+      ...file,
+      binary: !file.patch && !file.changes && file.status !== 'renamed'
+    }));
+    
+    return commit;
+  } catch (error) {
+    console.error(`Error fetching GitHub commit details for ${repo.full_name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetch latest commit for a GitHub repository branch with full details
  * 
  * @param {Object} repo - Repository object
  * @param {string} lastKnownSha - Last known commit SHA (for comparison)
+ * @param {string} branch - Branch name (defaults to the repository's default branch)
  * @returns {Promise<Object|null>} Latest commit with files or null
  */
-export async function fetchLatestGitHubCommit(repo, lastKnownSha = null) {
+export async function fetchLatestGitHubCommit(repo, lastKnownSha = null, branch = repo.default_branch) {
   try {
     // First get the latest commit SHA (lightweight request)
+    // Conditional once the head is known: a 304 means the branch did not move
     const listResponse = await fetchGitHub(
-      `/repos/${repo.full_name}/commits?sha=${repo.default_branch}&per_page=1`
+      `/repos/${repo.full_name}/commits?sha=${encodeURIComponent(branch)}&per_page=1`,
+      { conditional: !!lastKnownSha, account: repo.accountId }
     );
     
+    if (listResponse.status === 304) {
+      return { sha: lastKnownSha, unchanged: true };
+    }
+    
     if (!listResponse.ok) {
       // Handle specific errors
       if (listResponse.status === 409) {
@@ -46,38 +142,181 @@ export async function fetchLatestGitHubCommit(repo, lastKnownSha = null) {
     }
     
     // Fetch full commit details including files only if SHA changed
-    const detailResponse = await fetchGitHub(
-      `/repos/${repo.full_name}/commits/${latestSha}`
+    // Fall back to basic commit info if detailed fetch fails
+    return (await fetchGitHubCommitDetails(repo, latestSha)) || commits[0];
+  } catch (error) {
+    console.error(`Error fetching GitHub commits for ${repo.full_name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the commits between two SHAs of a GitHub repository (compare API)
+ * The comparison status also tells if the old SHA is still an ancestor of
+ * the head: 'behind' or 'diverged' means the branch was force-pushed.
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} baseSha - Last known commit SHA
+ * @param {string} headSha - Current branch head SHA
+ * @returns {Promise<Object|null>} { commits, rewritten } - commits oldest first (basic info,
+ *   null when the old SHA no longer exists), or null on failure
+ */
+export async function fetchGitHubCommitRange(repo, baseSha, headSha) {
+  try {
+    const response = await fetchGitHub(
+      `/repos/${repo.full_name}/compare/${baseSha}...${headSha}`,
+      { account: repo.accountId }
     );
     
-    if (!detailResponse.ok) {
-      // Fall back to basic commit info if detailed fetch fails
-      return commits[0];
+    if (!response.ok) {
+      // 404 means the old SHA no longer exists in the repository
+      if (response.status === 404) {
+        return { commits: null, rewritten: true };
+      }
+      throw new Error(`Failed to compare commits: ${response.status}`);
     }
     
-    return await detailResponse.json();
+    const comparison = await response.json();
+    return {
+      commits: comparison.commits || [],
+      rewritten: comparison.status === 'behind' || comparison.status === 'diverged'
+    };
   } catch (error) {
-    console.error(`Error fetching GitHub commits for ${repo.full_name}:`, error);
+    console.error(`Error comparing GitHub commits for ${repo.full_name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Check whether a previously seen SHA is still part of a GitHub branch
+ * Compares in reverse (head...base): anything reachable from the old SHA but
+ * not from the new head was dropped by a force-push
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} baseSha - Last known commit SHA
+ * @param {string} headSha - Current branch head SHA
+ * @returns {Promise<Object|null>} { droppedCommits } if history was rewritten, otherwise null
+ */
+export async function detectGitHubHistoryRewrite(repo, baseSha, headSha) {
+  try {
+    const response = await fetchGitHub(
+      `/repos/${repo.full_name}/compare/${headSha}...${baseSha}`,
+      { account: repo.accountId }
+    );
+    
+    if (!response.ok) {
+      // 404 means the old SHA no longer exists in the repository
+      if (response.status === 404) {
+        return { droppedCommits: [] };
+      }
+      throw new Error(`Failed to compare commits: ${response.status}`);
+    }
+    
+    const comparison = await response.json();
+    if (!comparison.ahead_by) {
+      return null;
+    }
+    
+    return { droppedCommits: comparison.commits || [] };
+  } catch (error) {
+    console.error(`Error checking GitHub history for ${repo.full_name}:`, error);
     return null;
   }
 }
 
 /**
- * Fetch latest commit for a GitLab project's default branch with full details
+ * Fetch the diff of a GitLab commit and normalize it to GitHub format
+ * 
+ * @param {Object} repo - Repository/project object
+ * @param {Object} commit - Commit object from the GitLab API
+ * @returns {Promise<Object>} Commit normalized to GitHub format
+ */
+export async function fetchGitLabCommitDetails(repo, commit) {
+  const projectId = encodeURIComponent(repo.full_name);
+  
+  // Fetch commit diff to get file changes
+  let files = [];
+  let stats = { additions: 0, deletions: 0 };
+  
+  try {
+    const diffResponse = await fetchGitLab(
+      `/projects/${projectId}/repository/commits/${commit.id}/diff?per_page=100`,
+      { account: repo.accountId }
+    );
+    
+    if (diffResponse.ok) {
+      const diffs = await diffResponse.json();
+      files = diffs.map(diff => {
+        const binary = /^Binary files .* differ$/m.test(diff.diff || '');
+        const { additions, deletions } = binary ? { additions: 0, deletions: 0 } : countDiffLines(diff.diff || '');
+        const status = getGitLabFileStatus(diff);
+        
+        return {
+          filename: diff.new_path || diff.old_path,
+          ...(status === 'renamed' && { previous_filename: diff.old_path }),
+          status,
+          binary,
+          additions,
+          deletions,
+          changes: additions + deletions,
+          // Binary and oversized diffs have no patch (as on GitHub)
+          patch: binary || !diff.diff ? undefined : diff.diff
+        };
+      });
+      
+      stats.additions = files.reduce((sum, f) => sum + f.additions, 0);
+      stats.deletions = files.reduce((sum, f) => sum + f.deletions, 0);
+    }
+  } catch (e) {
+    console.warn(`Could not fetch diff for ${repo.full_name}:`, e);
+  }
+  
+  // Normalize GitLab commit to GitHub format
+  return {
+    sha: commit.id,
+    commit: {
+      message: commit.message,
+      author: {
+        name: commit.author_name,
+        email: commit.author_email,
+        date: commit.authored_date
+      }
+    },
+    // GitLab commits carry the author's name and email, not their username
+    author: {
+      login: null,
+      avatar_url: null
+    },
+    html_url: commit.web_url,
+    parents: commit.parent_ids?.map(id => ({ sha: id })) || [],
+    files,
+    stats
+  };
+}
+
+/**
+ * Fetch latest commit for a GitLab project branch with full details
  * 
  * @param {Object} repo - Repository/project object
  * @param {string} lastKnownSha - Last known commit SHA (for comparison)
+ * @param {string} branch - Branch name (defaults to the project's default branch)
  * @returns {Promise<Object|null>} Latest commit normalized to GitHub format or null
  */
-export async function fetchLatestGitLabCommit(repo, lastKnownSha = null) {
+export async function fetchLatestGitLabCommit(repo, lastKnownSha = null, branch = repo.default_branch) {
   try {
     const projectId = encodeURIComponent(repo.full_name);
     
     // Get the latest commit
+    // Conditional once the head is known: a 304 means the branch did not move
     const listResponse = await fetchGitLab(
-      `/projects/${projectId}/repository/commits?ref_name=${repo.default_branch}&per_page=1`
+      `/projects/${projectId}/repository/commits?ref_name=${encodeURIComponent(branch)}&per_page=1`,
+      { conditional: !!lastKnownSha, account: repo.accountId }
     );
     
+    if (listResponse.status === 304) {
+      return { sha: lastKnownSha, unchanged: true };
+    }
+    
     if (!listResponse.ok) {
       if (listResponse.status === 404) {
         // Empty repository or no access
@@ -97,97 +336,256 @@ export async function fetchLatestGitLabCommit(repo, lastKnownSha = null) {
     }
     
     // Fetch commit diff to get file changes (only if SHA changed)
-    let files = [];
-    let stats = { additions: 0, deletions: 0 };
+    return await fetchGitLabCommitDetails(repo, commits[0]);
+  } catch (error) {
+    console.error(`Error fetching GitLab commits for ${repo.full_name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the commits between two SHAs of a GitLab project (repository/compare API)
+ * GitLab reports no ahead/behind status: the old SHA is still an ancestor of
+ * the head exactly when one of the new commits is its child.
+ * 
+ * @param {Object} repo - Repository/project object
+ * @param {string} baseSha - Last known commit SHA
+ * @param {string} headSha - Current branch head SHA
+ * @returns {Promise<Object|null>} { commits, rewritten } - GitLab commits oldest first (null
+ *   when the old SHA no longer exists), or null on failure
+ */
+export async function fetchGitLabCommitRange(repo, baseSha, headSha) {
+  try {
+    const projectId = encodeURIComponent(repo.full_name);
+    const response = await fetchGitLab(
+      `/projects/${projectId}/repository/compare?from=${baseSha}&to=${headSha}`,
+      { account: repo.accountId }
+    );
     
-    try {
-      const diffResponse = await fetchGitLab(
-        `/projects/${projectId}/repository/commits/${latestSha}/diff`
-      );
-      
-      if (diffResponse.ok) {
-        const diffs = await diffResponse.json();
-        files = diffs.map(diff => ({
-          filename: diff.new_path || diff.old_path,
-          additions: (diff.diff?.match(/^\+[^+]/gm) || []).length,
-          deletions: (diff.diff?.match(/^-[^-]/gm) || []).length,
-          changes: diff.diff ? diff.diff.split('\n').length : 0
-        }));
-        
-        stats.additions = files.reduce((sum, f) => sum + f.additions, 0);
-        stats.deletions = files.reduce((sum, f) => sum + f.deletions, 0);
+    if (!response.ok) {
+      // 404 means the old SHA no longer exists in the project
+      if (response.status === 404) {
+        return { commits: null, rewritten: true };
       }
-    } catch (e) {
-      console.warn(`Could not fetch diff for ${repo.full_name}:`, e);
+      throw new Error(`Failed to compare GitLab commits: ${response.status}`);
     }
     
-    // Normalize GitLab commit to GitHub format
-    const commit = commits[0];
+    const comparison = await response.json();
+    const commits = comparison.commits || [];
     return {
-      sha: commit.id,
-      commit: {
-        message: commit.message,
-        author: {
-          name: commit.author_name,
-          email: commit.author_email,
-          date: commit.authored_date
-        }
-      },
-      author: {
-        login: commit.author_name,
-        avatar_url: null
-      },
-      html_url: commit.web_url,
-      parents: commit.parent_ids?.map(id => ({ sha: id })) || [],
-      files,
-      stats
+      commits,
+      rewritten: baseSha !== headSha && !commits.some(commit => commit.parent_ids?.includes(baseSha))
     };
   } catch (error) {
-    console.error(`Error fetching GitLab commits for ${repo.full_name}:`, error);
+    console.error(`Error comparing GitLab commits for ${repo.full_name}:`, error);
     return null;
   }
 }
 
 /**
- * Fetch latest commit for a repository's default branch with full details
+ * Check whether a previously seen SHA is still part of a GitLab branch
+ * Compares in reverse (from head to base): any commit returned was dropped
+ * by a force-push
+ * 
+ * @param {Object} repo - Repository/project object
+ * @param {string} baseSha - Last known commit SHA
+ * @param {string} headSha - Current branch head SHA
+ * @returns {Promise<Object|null>} { droppedCommits } if history was rewritten, otherwise null
+ */
+export async function detectGitLabHistoryRewrite(repo, baseSha, headSha) {
+  try {
+    const projectId = encodeURIComponent(repo.full_name);
+    const response = await fetchGitLab(
+      `/projects/${projectId}/repository/compare?from=${headSha}&to=${baseSha}`,
+      { account: repo.accountId }
+    );
+    
+    if (!response.ok) {
+      // 404 means the old SHA no longer exists in the project
+      if (response.status === 404) {
+        return { droppedCommits: [] };
+      }
+      throw new Error(`Failed to compare GitLab commits: ${response.status}`);
+    }
+    
+    const comparison = await response.json();
+    if (!comparison.commits || comparison.commits.length === 0) {
+      return null;
+    }
+    
+    // Normalize to the GitHub shape used by the rest of the pipeline
+    return {
+      droppedCommits: comparison.commits.map(commit => ({
+        sha: commit.id,
+        commit: {
+          message: commit.message,
+          author: { name: commit.author_name }
+        },
+        html_url: commit.web_url
+      }))
+    };
+  } catch (error) {
+    console.error(`Error checking GitLab history for ${repo.full_name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Fetch latest commit for a repository branch with full details
  * Routes to the appropriate platform-specific function
  * 
  * @param {Object} repo - Repository object
  * @param {string} lastKnownSha - Last known commit SHA (for comparison)
+ * @param {string} branch - Branch name (defaults to the repository's default branch)
  * @returns {Promise<Object|null>} Latest commit with files or null
  */
-export async function fetchLatestCommit(repo, lastKnownSha = null) {
+export async function fetchLatestCommit(repo, lastKnownSha = null, branch = repo.default_branch) {
+  if (repo.platform === 'gitlab') {
+    return fetchLatestGitLabCommit(repo, lastKnownSha, branch);
+  }
+  return fetchLatestGitHubCommit(repo, lastKnownSha, branch);
+}
+
+/**
+ * Fetch the commits between two SHAs (routes to platform-specific function)
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} baseSha - Last known commit SHA
+ * @param {string} headSha - Current branch head SHA
+ * @returns {Promise<Object|null>} { commits, rewritten } or null on failure
+ */
+export async function fetchCommitRange(repo, baseSha, headSha) {
+  if (repo.platform === 'gitlab') {
+    return fetchGitLabCommitRange(repo, baseSha, headSha);
+  }
+  return fetchGitHubCommitRange(repo, baseSha, headSha);
+}
+
+/**
+ * Find the commits dropped by a force-push / history rewrite (routes to platform-specific function)
+ * Only needed once the forward comparison found a rewrite.
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} baseSha - Last known commit SHA
+ * @param {string} headSha - Current branch head SHA
+ * @returns {Promise<Object|null>} { droppedCommits } if history was rewritten, otherwise null
+ */
+export async function detectHistoryRewrite(repo, baseSha, headSha) {
   if (repo.platform === 'gitlab') {
-    return fetchLatestGitLabCommit(repo, lastKnownSha);
+    return detectGitLabHistoryRewrite(repo, baseSha, headSha);
+  }
+  return detectGitHubHistoryRewrite(repo, baseSha, headSha);
+}
+
+/**
+ * Fetch every commit pushed since the last known SHA, with full details
+ * Walks the range base..head (fetchCommitRange) so commits landing between
+ * two polls are not lost behind the branch head
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Array|null} range - Commits of the range base..head, null when they are unknown
+ * @param {Object} headCommit - Latest commit (already fetched with details)
+ * @returns {Promise<Array>} New commits, oldest first (ends with the head unless the branch was reset)
+ */
+export async function fetchNewCommits(repo, range, headCommit) {
+  const isGitLab = repo.platform === 'gitlab';
+  
+  // Compare failed - fall back to the head commit only
+  if (!range) {
+    return [headCommit];
   }
-  return fetchLatestGitHubCommit(repo, lastKnownSha);
+  
+  // Branch was reset to an older commit - nothing new on it
+  if (range.length === 0) {
+    return [];
+  }
+  
+  if (range.length > MAX_COMMITS_PER_CHECK) {
+    console.warn(`[Commit Watch] ${repo.full_name}: ${range.length} new commits, only the latest ${MAX_COMMITS_PER_CHECK} are processed`);
+  }
+  
+  const commits = [];
+  
+  // Fetch details one by one to stay gentle on the rate limit
+  for (const rangeCommit of range.slice(-MAX_COMMITS_PER_CHECK)) {
+    const sha = isGitLab ? rangeCommit.id : rangeCommit.sha;
+    
+    if (sha === headCommit.sha) {
+      commits.push(headCommit);
+    } else if (isGitLab) {
+      commits.push(await fetchGitLabCommitDetails(repo, rangeCommit));
+    } else {
+      // Fall back to basic commit info if detailed fetch fails
+      commits.push((await fetchGitHubCommitDetails(repo, sha)) || rangeCommit);
+    }
+  }
+  
+  // Make sure the head is always part of the result
+  if (commits[commits.length - 1].sha !== headCommit.sha) {
+    commits.push(headCommit);
+  }
+  
+  return commits;
 }
 
 /**
- * Check a single repository for new commits
+ * Build the storage key for the last known commit of a branch
+ * e.g. 'github:octocat@github.com:org/repo@release/2.x'
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} branch - Branch name
+ * @returns {string}
+ */
+export function getBranchKey(repo, branch) {
+  return `${getRepoKey(repo)}@${branch}`;
+}
+
+/**
+ * Check a single repository branch for new commits
  * 
  * @param {Object} repo - Repository to check
  * @param {Object} lastCommits - Object containing last known commit SHAs
  * @param {Object} settings - User settings
- * @param {Object} userData - GitHub user data
- * @param {Object} gitlabUserData - GitLab user data
- * @returns {Promise<Object|null>} New commit info or null
+ * @param {Object} currentUser - User data of the account the repository is watched through
+ * @param {string} branch - Branch to check (defaults to the repository's default branch)
+ * @param {string} knownHeadSha - Branch head already known from a batched query (GraphQL backend);
+ *                                skips the REST commit list request when given
+ * @returns {Promise<Object|null>} Result with the new head and new commits, { failed: true }
+ *   when the branch could not be read, or null when nothing changed
  */
-export async function checkRepoForNewCommits(repo, lastCommits, settings, userData, gitlabUserData) {
-  // Use platform-specific key for repo settings
-  const repoKey = `${repo.platform || 'github'}:${repo.full_name}`;
+export async function checkRepoForNewCommits(repo, lastCommits, settings, currentUser, branch = repo.default_branch, knownHeadSha = null) {
+  // Use account-specific key for repo settings
+  const repoKey = getRepoKey(repo);
+  const branchKey = getBranchKey(repo, branch);
   
   // Skip if repo is disabled in settings (check both old and new key formats)
   if (settings.enabledRepos[repoKey] === false || settings.enabledRepos[repo.full_name] === false) {
     return null;
   }
   
-  // Use platform-specific key for last commits
-  const lastKnownSha = lastCommits[repoKey] || lastCommits[repo.full_name];
-  const latestCommit = await fetchLatestCommit(repo, lastKnownSha);
+  // Use branch-specific key for last commits; the default branch was
+  // previously stored under the plain repo key, so fall back to it
+  let lastKnownSha = lastCommits[branchKey];
+  if (!lastKnownSha && branch === repo.default_branch) {
+    lastKnownSha = lastCommits[repoKey] || lastCommits[repo.full_name];
+  }
+  let latestCommit = null;
+  if (knownHeadSha) {
+    // Only go to REST for commit details when the SHA actually changed
+    latestCommit = knownHeadSha === lastKnownSha
+      ? { sha: knownHeadSha, unchanged: true }
+      : await fetchGitHubCommitDetails(repo, knownHeadSha);
+  }
+  // REST path, also when the details of a batched head could not be read
+  if (!latestCommit) {
+    latestCommit = await fetchLatestCommit(repo, lastKnownSha, branch);
+  }
   
+  // Fetch failed - the repository is not recorded as checked, so it is retried next cycle.
+  // A response read before the failure must not answer the retry with a 304
   if (!latestCommit) {
-    return null;
+    discardRepoValidators(repo);
+    return { repo, branch, failed: true, repoKey, branchKey };
   }
   
   // Skip if commit unchanged (optimization)
@@ -197,41 +595,116 @@ export async function checkRepoForNewCommits(repo, lastCommits, settings, userDa
   
   // If this is the first check, just store the SHA
   if (!lastKnownSha) {
-    return { repo, commit: latestCommit, isNew: false, repoKey };
+    return { repo, branch, commit: latestCommit, isNew: false, newCommits: [], repoKey, branchKey };
   }
   
-  // Check if there's a new commit
+  // Check if there are new commits
   if (latestCommit.sha !== lastKnownSha) {
-    // Skip own commits if setting is enabled
-    if (settings.ignoreOwnCommits) {
-      const authorLogin = latestCommit.author?.login;
-      const currentUser = repo.platform === 'gitlab' ? gitlabUserData : userData;
-      if (currentUser && authorLogin === currentUser.login) {
-        return { repo, commit: latestCommit, isNew: false, repoKey };
-      }
+    // The old SHA must still be an ancestor of the new head, otherwise
+    // the branch was force-pushed and its history rewritten
+    const range = await fetchCommitRange(repo, lastKnownSha, latestCommit.sha);
+    const rewrite = range?.rewritten
+      ? await detectHistoryRewrite(repo, lastKnownSha, latestCommit.sha)
+      : null;
+    if (rewrite) {
+      console.log(`[Commit Watch] ${repo.full_name}@${branch}: HISTORY REWRITTEN! ${lastKnownSha} -> ${latestCommit.sha}`);
     }
     
-    // New commit found!
-    const currentUser = repo.platform === 'gitlab' ? gitlabUserData : userData;
-    const priority = classifyCommitPriority(latestCommit, repo, currentUser);
+    const rangeCommits = await fetchNewCommits(repo, range?.commits || null, latestCommit);
+    
+    // Own commits are also matched by verified emails (GitLab commits, pairing co-authors)
+    const ownEmails = settings.ignoreOwnCommits && rangeCommits.length > 0 ? await getOwnEmails(repo) : [];
+    const commits = rangeCommits
+      // Skip own commits if setting is enabled
+      .filter(commit => !(settings.ignoreOwnCommits && isOwnCommit(commit, currentUser, ownEmails)))
+      // Skip bot commits if they are muted
+      .filter(commit => !(settings.botCommits === 'mute' && detectBotAuthor(commit)));
+    
+    // Only read CODEOWNERS when there is something to classify
+    const ownership = settings.codeOwnersPriority !== false && commits.length > 0
+      ? await getCodeOwnership(repo)
+      : null;
+    
+    // Language-specific critical-file rules need the primary language (fetched for GitLab)
+    const classifiedRepo = commits.length > 0 && repo.platform === 'gitlab'
+      ? { ...repo, language: await getRepositoryLanguage(repo) }
+      : repo;
+    
+    const newCommits = [];
+    for (const commit of commits) {
+      // Manifests are diffed against the parent commit (two file requests each)
+      const dependencyChanges = settings.dependencyAnalysis !== false
+        ? await analyzeDependencyChanges(repo, commit)
+        : [];
+      
+      newCommits.push({
+        commit,
+        ...classifyCommitPriority(commit, classifiedRepo, currentUser, getClassificationRules(settings), { ownership, dependencyChanges }),
+        secrets: settings.secretScanning !== false ? scanCommitForSecrets(commit) : [],
+        // GitHub includes it in the commit details, GitLab needs one request per commit
+        // (only made for repositories that require signed commits)
+        verification: await getCommitVerification(repo, commit, settings)
+      });
+    }
     
     return {
-      repo,
+      repo: classifiedRepo,
+      branch,
       commit: latestCommit,
-      isNew: true,
-      priority,
-      repoKey
+      isNew: newCommits.length > 0,
+      newCommits,
+      rewrite: rewrite ? { previousSha: lastKnownSha, branch, ...rewrite } : null,
+      repoKey,
+      branchKey
     };
   }
   
   return null;
 }
 
+/**
+ * Check every watched branch of a repository for new commits
+ * 
+ * @param {Object} repo - Repository to check
+ * @param {Object} lastCommits - Object containing last known commit SHAs
+ * @param {Object} settings - User settings
+ * @param {Object} currentUser - User data of the account the repository is watched through
+ * @param {Object} snapshot - GraphQL snapshot of the repository, if the GraphQL backend is used
+ * @returns {Promise<Array>} Non-null results of checkRepoForNewCommits, one per changed or failed branch
+ */
+export async function checkRepoBranchesForNewCommits(repo, lastCommits, settings, currentUser, snapshot = null) {
+  const repoKey = getRepoKey(repo);
+  
+  // Skip branch discovery entirely for disabled repos
+  if (settings.enabledRepos[repoKey] === false || settings.enabledRepos[repo.full_name] === false) {
+    return [];
+  }
+  
+  const branches = await resolveWatchedBranches(repo, settings);
+  const results = [];
+  
+  for (const branch of branches) {
+    // The GraphQL snapshot only covers the default branch
+    const knownHeadSha = branch === snapshot?.defaultBranch ? snapshot.headSha : null;
+    const result = await checkRepoForNewCommits(repo, lastCommits, settings, currentUser, branch, knownHeadSha);
+    if (result) {
+      results.push(result);
+    }
+  }
+  
+  return results;
+}
+
 /**
  * Check all repositories for new commits
  * This is the main polling function
+ * 
+ * @param {Object} options - Check options
+ * @param {Set<string>} options.repoKeys - Only check these repositories (event feed / schedule);
+ *                                         repositories without a known SHA are always checked
+ * @returns {Promise<boolean>} False when the check or one of its repositories failed
  */
-export async function checkAllRepositoriesForCommits() {
+export async function checkAllRepositoriesForCommits({ repoKeys = null } = {}) {
   console.log('[Commit Watch] Starting commit check...');
   
   try {
@@ -239,24 +712,38 @@ export async function checkAllRepositoriesForCommits() {
     
     if (!settings.notificationsEnabled) {
       console.log('[Commit Watch] Notifications disabled, skipping check');
-      return;
+      return true;
     }
     
-    // Get current user info for both platforms
-    const { userData, gitlabUserData } = await getStorage(['userData', 'gitlabUserData']);
-    if (!userData && !gitlabUserData) {
-      console.log('[Commit Watch] No user data, skipping check');
-      return;
+    // Get user info of every connected account
+    const accounts = await getAccounts();
+    if (accounts.length === 0) {
+      console.log('[Commit Watch] No connected accounts, skipping check');
+      return true;
     }
-    
-    // Get repositories from all platforms
-    const repos = await getRepositories();
+    const accountUsers = Object.fromEntries(accounts.map(account => [account.id, account.user]));
     
     // Get last known commits
     const { lastCommits = {} } = await getStorage('lastCommits');
     
-    // Track new commits for batch update
+    // Get repositories from all platforms (only those with activity, if known)
+    const repos = (await getRepositories()).filter(repo => {
+      if (!repoKeys) return true;
+      const repoKey = getRepoKey(repo);
+      const hasKnownSha = Object.keys(lastCommits).some(key => key === repoKey || key.startsWith(`${repoKey}@`));
+      return repoKeys.has(repoKey) || !hasKnownSha;
+    });
+    
+    // GraphQL backend: fetch head SHAs of all GitHub repos in a few batched queries
+    const snapshots = settings.githubPollingMode === 'graphql'
+      ? await getGitHubRepositorySnapshots(repos)
+      : {};
+    
+    // Track new commits and history rewrites for batch update
     const newCommits = [];
+    const rewrites = [];
+    const activeRepoKeys = new Set();
+    const failedRepoKeys = new Set();
     const updatedLastCommits = { ...lastCommits };
     
     // Check each repository (with rate limiting consideration)
@@ -266,18 +753,30 @@ export async function checkAllRepositoriesForCommits() {
       const batch = repos.slice(i, i + batchSize);
       
       const results = await Promise.all(
-        batch.map(repo => checkRepoForNewCommits(repo, lastCommits, settings, userData, gitlabUserData))
+        batch.map(repo => checkRepoBranchesForNewCommits(
+          repo, lastCommits, settings, accountUsers[repo.accountId],
+          snapshots[getRepoKey(repo)]
+        ))
       );
       
-      for (const result of results) {
-        if (result) {
-          // Update last known commit using platform-specific key
-          const key = result.repoKey || result.repo.full_name;
-          updatedLastCommits[key] = result.commit.sha;
+      for (const result of results.flat()) {
+        if (result?.failed) {
+          failedRepoKeys.add(result.repoKey);
+        } else if (result) {
+          // Update last known commit using branch-specific key
+          updatedLastCommits[result.branchKey] = result.commit.sha;
           
-          // Track new commits for notification
+          // Track every new commit of the range for notification
           if (result.isNew) {
-            newCommits.push(result);
+            newCommits.push(...result.newCommits.map(entry => ({ repo: result.repo, branch: result.branch, ...entry })));
+          }
+          
+          if (result.rewrite) {
+            rewrites.push({ repo: result.repo, commit: result.commit, rewrite: result.rewrite });
+          }
+          
+          if (result.isNew || result.rewrite) {
+            activeRepoKeys.add(result.repoKey);
           }
         }
       }
@@ -288,28 +787,66 @@ export async function checkAllRepositoriesForCommits() {
       }
     }
     
-    // Store updated commit SHAs
+    // Store updated commit SHAs, then the validators of the responses they came from
     await setStorage({ lastCommits: updatedLastCommits });
+    await saveValidators();
+    
+    // Feed check times and activity back into the adaptive schedule
+    // (repositories that could not be read stay due and are retried next cycle)
+    await recordRepoChecks(repos.filter(repo => !failedRepoKeys.has(getRepoKey(repo))), activeRepoKeys);
     
-    // Send notifications for new commits
-    for (const { repo, commit, priority } of newCommits) {
-      await sendCommitNotification(repo, commit, priority);
+    // Send notifications for rewritten histories first (always high priority)
+    for (const { repo, commit, rewrite } of rewrites) {
+      await sendHistoryRewriteNotification(repo, commit, rewrite);
     }
     
-    // Update badge with new commit count
-    if (newCommits.length > 0) {
-      await incrementUnreadCount(newCommits.length);
+    // Send notifications for new commits (bot commits of a branch in one notification, if batched)
+    const botBatches = new Map();
+    for (const { repo, commit, priority, branch, reasons, ownedFiles, dependencyChanges, secrets, verification } of newCommits) {
+      // Possible leaked secrets and policy violations are reported first, as separate urgent notifications
+      if (secrets.length > 0) {
+        console.log(`[Commit Watch] ${repo.full_name}@${branch}: possible secret committed in ${commit.sha}`);
+        await sendSecretLeakNotification(repo, commit, secrets, branch);
+      }
+      if (requiresSignedCommits(repo, settings) && violatesSignaturePolicy(verification)) {
+        console.log(`[Commit Watch] ${repo.full_name}@${branch}: ${verification.status} commit ${commit.sha}`);
+        await sendUnsignedCommitNotification(repo, commit, verification, branch);
+      }
+      
+      if (settings.botCommits === 'batch' && detectBotAuthor(commit)) {
+        const batchKey = getBranchKey(repo, branch);
+        if (!botBatches.has(batchKey)) {
+          botBatches.set(batchKey, { repo, branch, commits: [] });
+        }
+        botBatches.get(batchKey).commits.push(commit);
+        continue;
+      }
+      await sendCommitNotification(repo, commit, priority, branch, { reasons, ownedFiles, dependencyChanges, verification });
+    }
+    for (const { repo, branch, commits } of botBatches.values()) {
+      await sendBotCommitsNotification(repo, branch, commits);
+    }
+    
+    // Update badge with new commit and rewrite count
+    if (newCommits.length + rewrites.length > 0) {
+      await incrementUnreadCount(newCommits.length + rewrites.length);
     }
     
     // Update last check time
     await setStorage({ lastCheckTime: Date.now() });
     
-    console.log(`[Commit Watch] Check complete. Found ${newCommits.length} new commits.`);
+    console.log(`[Commit Watch] Check complete. Found ${newCommits.length} new commits, ${rewrites.length} history rewrites.`);
+    return failedRepoKeys.size === 0;
     
   } catch (error) {
     console.error('[Commit Watch] Error during commit check:', error);
     
+    // Last known SHAs may not have been saved, so validators may be ahead of
+    // them - drop them so the next check cannot mistake a 304 for "unchanged"
+    await clearValidators();
+    
     // Store error for display in popup
     await setStorage({ lastError: error.message });
+    return false;
   }
 }
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Commit Watch - Commit Signature Verification
+ * 
+ * Reads the signature verification of new commits:
+ * - GitHub: `commit.verification` of the commit details
+ * - GitLab: /projects/:id/repository/commits/:sha/signature (404 = unsigned);
+ *   one request per commit, so only for repositories that require signed commits
+ * 
+ * Repositories can require signed commits (settings.signedCommitRepos);
+ * unsigned or unverified commits on their watched branches raise an alert.
+ */
+
+import { fetchGitLab } from './gitlab-api.js';
+import { getRepoKey } from './utils.js';
+
+/**
+ * Get the signature verification of a GitHub commit
+ * @param {Object} commit - Commit details from the GitHub API
+ * @returns {Object} { status, reason, signatureType }
+ */
+function getGitHubVerification(commit) {
+  const verification = commit.commit?.verification;
+  if (!verification) {
+    return { status: 'unknown', reason: null, signatureType: null };
+  }
+  
+  // The signature block tells the signing format apart (GPG, SSH or S/MIME)
+  const signature = verification.signature || '';
+  const signatureType = signature.includes('SSH SIGNATURE')
+    ? 'SSH'
+    : (signature.includes('PGP SIGNATURE') ? 'GPG' : (signature.includes('SIGNED MESSAGE') ? 'X509' : null));
+  
+  if (verification.verified) {
+    return { status: 'verified', reason: verification.reason, signatureType };
+  }
+  return {
+    status: verification.reason === 'unsigned' ? 'unsigned' : 'unverified',
+    reason: verification.reason,
+    signatureType
+  };
+}
+
+/**
+ * Fetch the signature verification of a GitLab commit
+ * @param {Object} repo - Repository/project object
+ * @param {Object} commit - Commit normalized to GitHub format
+ * @returns {Promise<Object>} { status, reason, signatureType }
+ */
+async function fetchGitLabVerification(repo, commit) {
+  const projectId = encodeURIComponent(repo.full_name);
+  const response = await fetchGitLab(
+    `/projects/${projectId}/repository/commits/${commit.sha}/signature`,
+    { account: repo.accountId }
+  );
+  
+  if (response.status === 404) {
+    return { status: 'unsigned', reason: 'unsigned', signatureType: null };
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch signature of ${commit.sha}: ${response.status}`);
+  }
+  
+  const signature = await response.json();
+  return {
+    status: signature.verification_status === 'verified' ? 'verified' : 'unverified',
+    reason: signature.verification_status || null,
+    signatureType: signature.signature_type || null
+  };
+}
+
+/**
+ * Get the signature verification of a commit
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} commit - Commit (GitHub format)
+ * @param {Object} settings - User settings (signed-commit policy)
+ * @returns {Promise<Object|null>} { status: 'verified' | 'unverified' | 'unsigned' | 'unknown',
+ *   reason, signatureType } - reason is the platform's verification reason
+ *   ('unknown_key', 'bad_email', 'unverified_key', ...); unknown when it could not be read.
+ *   Null for GitLab repositories that do not require signed commits (not read)
+ */
+export async function getCommitVerification(repo, commit, settings) {
+  if (repo.platform === 'gitlab' && !requiresSignedCommits(repo, settings)) {
+    return null;
+  }
+  
+  try {
+    return repo.platform === 'gitlab'
+      ? await fetchGitLabVerification(repo, commit)
+      : getGitHubVerification(commit);
+  } catch (error) {
+    console.error(`[Commit Watch] Error reading signature of ${commit.sha} in ${repo.full_name}:`, error);
+    return { status: 'unknown', reason: null, signatureType: null };
+  }
+}
+
+/**
+ * Check if a repository requires signed commits
+ * @param {Object} repo - Repository object
+ * @param {Object} settings - User settings
+ * @returns {boolean}
+ */
+export function requiresSignedCommits(repo, settings) {
+  return !!settings.signedCommitRepos?.[getRepoKey(repo)];
+}
+
+/**
+ * Check if a commit breaks the signed-commits policy
+ * Commits whose signature could not be read are not reported.
+ * 
+ * @param {Object} verification - Result of getCommitVerification
+ * @returns {boolean}
+ */
+export function violatesSignaturePolicy(verification) {
+  return verification.status === 'unsigned' || verification.status === 'unverified';
+}
\ No newline at end of file
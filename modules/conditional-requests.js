@@ -0,0 +1,106 @@
+/**
+ * Commit Watch - Conditional Request Validators (ETag / Last-Modified)
+ * 
+ * New validators are only saved once the check that read the response has
+ * stored what it saw (saveValidators): a validator saved ahead of the last
+ * known SHA/release would turn the next poll into a 304 and hide changes.
+ */
+
+import { getStorage, setStorage } from './storage.js';
+
+/**
+ * Validators per request URL: { [url]: { etag, lastModified } }
+ * Kept in memory and persisted to storage, since the service worker
+ * is restarted between most polling cycles
+ */
+let validators = null;
+
+/**
+ * Validators of responses whose results are not stored yet: { [url]: { etag, lastModified } }
+ */
+let pendingValidators = {};
+
+/**
+ * Load stored validators into memory (once per service worker lifetime)
+ * @returns {Promise<Object>} Validators map
+ */
+async function loadValidators() {
+  if (!validators) {
+    const { httpValidators = {} } = await getStorage('httpValidators');
+    validators = httpValidators;
+  }
+  return validators;
+}
+
+/**
+ * Get conditional request headers for a URL
+ * @param {string} url - Full request URL
+ * @returns {Promise<Object>} Headers (If-None-Match / If-Modified-Since), possibly empty
+ */
+export async function getConditionalHeaders(url) {
+  const stored = (await loadValidators())[url];
+  const headers = {};
+  
+  if (stored?.etag) {
+    headers['If-None-Match'] = stored.etag;
+  }
+  if (stored?.lastModified) {
+    headers['If-Modified-Since'] = stored.lastModified;
+  }
+  
+  return headers;
+}
+
+/**
+ * Remember the validators returned with a successful response
+ * They stay pending until saveValidators is called.
+ * 
+ * @param {string} url - Full request URL
+ * @param {Response} response - Fetch response
+ */
+export async function storeValidators(url, response) {
+  if (!response.ok) return;
+  
+  const etag = response.headers.get('ETag');
+  const lastModified = response.headers.get('Last-Modified');
+  if (!etag && !lastModified) return;
+  
+  pendingValidators[url] = { etag, lastModified };
+}
+
+/**
+ * Save the pending validators, once the results of their responses are stored
+ */
+export async function saveValidators() {
+  const pending = pendingValidators;
+  pendingValidators = {};
+  if (Object.keys(pending).length === 0) return;
+  
+  const current = await loadValidators();
+  Object.assign(current, pending);
+  await setStorage({ httpValidators: current });
+}
+
+/**
+ * Drop the pending validators of a repository whose check failed
+ * (its responses were not acted upon). Validator keys are "<account id> <url>".
+ * @param {Object} repo - Repository object
+ */
+export function discardRepoValidators(repo) {
+  const repoPath = repo.platform === 'gitlab'
+    ? `/projects/${encodeURIComponent(repo.full_name)}/`
+    : `/repos/${repo.full_name}/`;
+  
+  for (const url of Object.keys(pendingValidators)) {
+    if (url.startsWith(`${repo.accountId} `) && url.includes(repoPath)) delete pendingValidators[url];
+  }
+}
+
+/**
+ * Forget all validators (e.g. when the token changes, since responses differ per user)
+ */
+export async function clearValidators() {
+  validators = {};
+  pendingValidators = {};
+  await setStorage({ httpValidators: {} });
+}
\ No newline at end of file
@@ -3,10 +3,25 @@
  */
 
 export const GITHUB_API_BASE = 'https://api.github.com';
-export const GITLAB_API_BASE = 'https://gitlab.com/api/v4';
+export const GITHUB_WEB_BASE = 'https://github.com';
+export const GITLAB_WEB_BASE = 'https://gitlab.com';
+export const DEFAULT_INSTANCE_URLS = { github: GITHUB_WEB_BASE, gitlab: GITLAB_WEB_BASE };
 export const ALARM_NAME = 'commit-check-alarm';
 export const DEFAULT_CHECK_INTERVAL = 5; // minutes
 
 // Priority keywords for commit classification
 export const HIGH_PRIORITY_KEYWORDS = ['fix', 'hotfix', 'breaking', 'critical', 'urgent', 'security'];
-export const LOW_PRIORITY_KEYWORDS = ['merge', 'docs', 'documentation', 'format', 'formatting', 'style', 'chore'];
\ No newline at end of file
+export const LOW_PRIORITY_KEYWORDS = ['merge', 'docs', 'documentation', 'format', 'formatting', 'style', 'chore'];
+
+// Maximum number of commits processed per repository in a single check
+// (commits pushed between two polls beyond this are skipped, oldest first)
+export const MAX_COMMITS_PER_CHECK = 30;
+
+// Maximum number of releases reported per repository in a single check
+// (releases published between two polls beyond this are skipped, oldest first)
+export const MAX_RELEASES_PER_CHECK = 10;
+
+// Release channels, tracked separately; repositories notify on the default ones
+// unless settings.releaseChannels says otherwise
+export const RELEASE_CHANNELS = ['stable', 'prerelease', 'draft'];
+export const DEFAULT_RELEASE_CHANNELS = ['stable', 'prerelease'];
\ No newline at end of file
@@ -0,0 +1,61 @@
+/**
+ * Commit Watch - Conventional Commits
+ * 
+ * Parses commit messages following https://www.conventionalcommits.org:
+ * 
+ *   feat(parser)!: drop support for v1 configs
+ * 
+ *   BREAKING CHANGE: v1 configs must be migrated with `cw migrate`
+ */
+
+// type(scope)!: subject - scopes are limited to plain names ('api', 'ui/popup', 'deps-dev')
+const HEADER_PATTERN = /^([a-z]+)(?:\(([\w$.,/* -]+)\))?(!)?: +(\S.*)$/i;
+const BREAKING_FOOTER_PATTERN = /^BREAKING[ -]CHANGE: *(.*)$/;
+
+/**
+ * Parse a commit message as a Conventional Commit
+ * 
+ * @param {string} message - Full commit message
+ * @returns {Object|null} { type, scope, subject, breaking, breakingChanges },
+ *                        or null when the header does not follow the convention
+ */
+export function parseConventionalCommit(message) {
+  const [header = '', ...bodyLines] = (message || '').split('\n');
+  const match = header.trim().match(HEADER_PATTERN);
+  if (!match) return null;
+  
+  const [, type, scope, bang, subject] = match;
+  
+  // BREAKING CHANGE footers (the description may continue on the following lines)
+  const breakingChanges = [];
+  let current = null;
+  for (const line of bodyLines) {
+    const footer = line.match(BREAKING_FOOTER_PATTERN);
+    if (footer) {
+      current = [footer[1].trim()];
+      breakingChanges.push(current);
+    } else if (current && line.trim() && !/^[\w-]+(: | #)/.test(line)) {
+      current.push(line.trim());
+    } else {
+      current = null;
+    }
+  }
+  
+  return {
+    type: type.toLowerCase(),
+    scope: scope?.trim() || null,
+    subject: subject.trim(),
+    breaking: !!bang || breakingChanges.length > 0,
+    breakingChanges: breakingChanges.map(lines => lines.join(' ').trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Format the type and scope of a parsed commit for display
+ * @param {Object} conventional - Result of parseConventionalCommit
+ * @returns {string} e.g. 'feat(parser)!'
+ */
+export function formatConventionalType(conventional) {
+  const scope = conventional.scope ? `(${conventional.scope})` : '';
+  return `${conventional.type}${scope}${conventional.breaking ? '!' : ''}`;
+}
\ No newline at end of file
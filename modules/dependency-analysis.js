@@ -0,0 +1,305 @@
+/**
+ * Commit Watch - Dependency Change Analysis
+ * 
+ * Diffs dependency manifests (package.json, Cargo.toml, go.mod,
+ * requirements.txt) between a commit and its parent, and reports the
+ * dependencies that were added, removed, upgraded or downgraded together
+ * with the semver level of each version change.
+ */
+
+import { fetchGitHub } from './github-api.js';
+import { fetchGitLab } from './gitlab-api.js';
+
+// Manifests compared per commit (each costs two file requests)
+const MAX_MANIFESTS_PER_COMMIT = 5;
+
+// Display order of dependency changes, most notable first
+const CHANGE_RANKS = ['major', 'added', 'downgraded', 'removed', 'minor', 'changed', 'patch'];
+
+const PACKAGE_JSON_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Parse package.json dependencies
+ * @param {string} text - File contents
+ * @returns {Map<string, string>} name → version spec
+ */
+function parsePackageJson(text) {
+  const manifest = JSON.parse(text);
+  return new Map(PACKAGE_JSON_SECTIONS.flatMap(section => Object.entries(manifest[section] || {})));
+}
+
+/**
+ * Parse Cargo.toml dependencies (line based, covers the usual layouts)
+ * @param {string} text - File contents
+ * @returns {Map<string, string>}
+ */
+function parseCargoToml(text) {
+  const dependencies = new Map();
+  let section = null;
+  let tableCrate = null;
+  
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+    
+    // [dependencies], [dev-dependencies], [target.'cfg(unix)'.dependencies], [dependencies.serde]
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      const table = header[1].match(/(?:^|\.)(?:dev-|build-)?dependencies(?:\.([\w-]+))?$/);
+      section = table ? 'dependencies' : null;
+      tableCrate = table?.[1] || null;
+      if (tableCrate) dependencies.set(tableCrate, '*');
+      continue;
+    }
+    if (!section) continue;
+    
+    const entry = line.match(/^([\w-]+)\s*=\s*(.+)$/);
+    if (!entry) continue;
+    
+    const [, key, value] = entry;
+    if (tableCrate) {
+      if (key === 'version') dependencies.set(tableCrate, value.replace(/["']/g, ''));
+    } else {
+      const version = value.match(/^["']([^"']*)["']/) || value.match(/version\s*=\s*["']([^"']*)["']/);
+      dependencies.set(key, version ? version[1] : '*');
+    }
+  }
+  
+  return dependencies;
+}
+
+/**
+ * Parse go.mod requirements (indirect requirements are skipped)
+ * @param {string} text - File contents
+ * @returns {Map<string, string>}
+ */
+function parseGoMod(text) {
+  const dependencies = new Map();
+  let inRequireBlock = false;
+  
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('require (')) {
+      inRequireBlock = true;
+      continue;
+    }
+    if (inRequireBlock && line === ')') {
+      inRequireBlock = false;
+      continue;
+    }
+    
+    const requirement = inRequireBlock ? line : line.match(/^require\s+(.+)$/)?.[1];
+    if (!requirement || requirement.includes('// indirect')) continue;
+    
+    const [module, version] = requirement.split(/\s+/);
+    if (module && version) dependencies.set(module, version);
+  }
+  
+  return dependencies;
+}
+
+/**
+ * Parse requirements.txt (names are normalized as pip does)
+ * @param {string} text - File contents
+ * @returns {Map<string, string>}
+ */
+function parseRequirementsTxt(text) {
+  const dependencies = new Map();
+  
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line || line.startsWith('-')) continue;
+    
+    const requirement = line.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)(?:\[[^\]]*\])?\s*([^;]*)/);
+    if (requirement) {
+      const name = requirement[1].toLowerCase().replace(/[._]+/g, '-');
+      dependencies.set(name, requirement[2].trim() || '*');
+    }
+  }
+  
+  return dependencies;
+}
+
+const MANIFEST_PARSERS = {
+  'package.json': parsePackageJson,
+  'Cargo.toml': parseCargoToml,
+  'go.mod': parseGoMod,
+  'requirements.txt': parseRequirementsTxt
+};
+
+/**
+ * Check if a file is a supported dependency manifest (vendored copies are ignored)
+ * @param {string} filename - File path
+ * @returns {boolean}
+ */
+export function isDependencyManifest(filename) {
+  const basename = filename.split('/').pop();
+  return !!MANIFEST_PARSERS[basename] && !/(^|\/)(node_modules|vendor|third_party)\//.test(filename);
+}
+
+/**
+ * Parse the dependencies of a manifest
+ * @param {string} filename - File path
+ * @param {string|null} text - File contents (null when the file does not exist)
+ * @returns {Map<string, string>}
+ */
+export function parseManifest(filename, text) {
+  if (!text) return new Map();
+  return MANIFEST_PARSERS[filename.split('/').pop()](text);
+}
+
+/**
+ * Extract [major, minor, patch] from a version spec ('^1.2.3', '~=2.1', 'v0.4.0')
+ * @param {string} spec - Version spec
+ * @returns {Array<number>|null}
+ */
+function parseVersion(spec) {
+  const match = spec.match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [1, 2, 3].map(i => parseInt(match[i] || '0')) : null;
+}
+
+/**
+ * Compare two version specs
+ * 
+ * @param {string} from - Previous version spec
+ * @param {string} to - New version spec
+ * @returns {Object} { direction: 1 | -1 | 0 | null, level: 'major' | 'minor' | 'patch' | null }
+ *   Below 1.0.0 a minor bump counts as major (semver allows breaking changes there)
+ */
+export function compareVersions(from, to) {
+  const before = parseVersion(from);
+  const after = parseVersion(to);
+  if (!before || !after) return { direction: null, level: null };
+  
+  const index = [0, 1, 2].find(i => before[i] !== after[i]);
+  if (index === undefined) return { direction: 0, level: null };
+  
+  const level = index === 0 || (index === 1 && before[0] === 0 && after[0] === 0)
+    ? 'major'
+    : (index === 1 ? 'minor' : 'patch');
+  return { direction: after[index] > before[index] ? 1 : -1, level };
+}
+
+/**
+ * Diff two dependency maps
+ * 
+ * @param {Map<string, string>} before - Dependencies of the parent commit
+ * @param {Map<string, string>} after - Dependencies of the commit
+ * @returns {Array} [{ name, change, from, to, level }], change being
+ *   'added', 'removed', 'upgraded', 'downgraded' or 'changed' (spec changed, no comparable version)
+ */
+export function diffDependencies(before, after) {
+  const changes = [];
+  
+  for (const [name, to] of after) {
+    const from = before.get(name);
+    if (from === undefined) {
+      changes.push({ name, change: 'added', from: null, to, level: null });
+    } else if (from !== to) {
+      const { direction, level } = compareVersions(from, to);
+      if (direction === 0) continue;
+      const change = direction === 1 ? 'upgraded' : (direction === -1 ? 'downgraded' : 'changed');
+      changes.push({ name, change, from, to, level });
+    }
+  }
+  
+  for (const [name, from] of before) {
+    if (!after.has(name)) {
+      changes.push({ name, change: 'removed', from, to: null, level: null });
+    }
+  }
+  
+  return changes;
+}
+
+/**
+ * Check if a dependency change is of one of the given kinds
+ * @param {Object} change - Entry of diffDependencies
+ * @param {Array<string>} kinds - 'added', 'removed', 'downgraded', 'major', 'minor', 'patch'
+ * @returns {boolean}
+ */
+export function matchesDependencyKinds(change, kinds) {
+  return kinds.includes(change.change) || (change.change === 'upgraded' && kinds.includes(change.level));
+}
+
+/**
+ * Sort dependency changes, most notable first (major upgrades, then additions, ...)
+ * @param {Array} changes - Entries of diffDependencies
+ * @returns {Array} Sorted copy
+ */
+export function sortDependencyChanges(changes) {
+  const rank = change => CHANGE_RANKS.indexOf(change.change === 'upgraded' ? change.level || 'changed' : change.change);
+  return [...changes].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Format a dependency change for display
+ * @param {Object} change - Entry of diffDependencies
+ * @returns {string} e.g. 'react 17.0.2 → 18.2.0 (major)', 'vite 5.0.0 → 4.5.0 (downgrade)', '+ zod 3.22.0', '- lodash'
+ */
+export function formatDependencyChange(change) {
+  if (change.change === 'added') return `+ ${change.name} ${change.to}`;
+  if (change.change === 'removed') return `- ${change.name}`;
+  const label = change.change === 'downgraded' ? 'downgrade' : change.level;
+  return `${change.name} ${change.from} → ${change.to}${label ? ` (${label})` : ''}`;
+}
+
+/**
+ * Fetch a file at a commit
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} path - File path
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<string|null>} Contents, or null when the file does not exist at that commit
+ */
+async function fetchFileAt(repo, path, ref) {
+  const response = repo.platform === 'gitlab'
+    ? await fetchGitLab(
+      `/projects/${repo.id}/repository/files/${encodeURIComponent(path)}/raw?ref=${ref}`,
+      { account: repo.accountId }
+    )
+    : await fetchGitHub(
+      `/repos/${repo.full_name}/contents/${path}?ref=${ref}`,
+      { account: repo.accountId, headers: { 'Accept': 'application/vnd.github.raw' } }
+    );
+  
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${path}@${ref}: ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * Diff the dependency manifests changed by a commit against its parent
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} commit - Commit with files (GitHub format)
+ * @returns {Promise<Array>} [{ manifest, name, change, from, to, level }] (empty on failure)
+ */
+export async function analyzeDependencyChanges(repo, commit) {
+  const manifests = (commit.files || [])
+    .filter(file => isDependencyManifest(file.filename))
+    .slice(0, MAX_MANIFESTS_PER_COMMIT);
+  if (manifests.length === 0) return [];
+  
+  const parentSha = commit.parents?.[0]?.sha;
+  const changes = [];
+  
+  for (const file of manifests) {
+    try {
+      const previousPath = file.previous_filename || file.filename;
+      const [before, after] = await Promise.all([
+        parentSha && file.status !== 'added' ? fetchFileAt(repo, previousPath, parentSha) : null,
+        file.status !== 'removed' ? fetchFileAt(repo, file.filename, commit.sha) : null
+      ]);
+      
+      const diff = diffDependencies(parseManifest(previousPath, before), parseManifest(file.filename, after));
+      changes.push(...diff.map(change => ({ manifest: file.filename, ...change })));
+    } catch (error) {
+      console.error(`[Commit Watch] Error diffing ${file.filename} of ${repo.full_name}:`, error);
+    }
+  }
+  
+  return changes;
+}
\ No newline at end of file
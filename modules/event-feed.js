@@ -0,0 +1,181 @@
+/**
+ * Commit Watch - Event Feed (activity-based polling)
+ * 
+ * Reads the GitHub received-events feed and the GitLab events API to find
+ * the repositories that had push, tag or release activity since the last
+ * seen event, so only those need to be checked.
+ */
+
+import { fetchGitHub } from './github-api.js';
+import { fetchGitLab } from './gitlab-api.js';
+import { getStorage, setStorage } from './storage.js';
+import { getAccounts } from './accounts.js';
+import { getRepoKey } from './utils.js';
+
+// Pages read per feed before giving up (GitHub only serves the last 300 events)
+const MAX_FEED_PAGES = 3;
+const FEED_PAGE_SIZE = 100;
+
+const GITHUB_ACTIVITY_EVENTS = ['PushEvent', 'CreateEvent', 'ReleaseEvent'];
+
+/**
+ * Check if a GitLab event is push / tag / release activity
+ * @param {Object} event - GitLab event object
+ * @returns {boolean}
+ */
+function isGitLabActivityEvent(event) {
+  return event.action_name?.startsWith('pushed') || event.target_type === 'Release' || !!event.push_data;
+}
+
+/**
+ * Read a paginated feed (newest first) until the last seen event id is reached
+ * 
+ * @param {Function} fetchPage - async (page) => Array of events, newest first
+ * @param {number|null} lastSeenId - Id of the newest event seen by the previous check
+ * @returns {Promise<Object>} { events, newestId, hasGap }
+ *   hasGap is true when the cursor was not reached (expired, first run,
+ *   or pagination ran out), meaning events may have been missed
+ */
+async function readFeed(fetchPage, lastSeenId) {
+  const events = [];
+  let newestId = lastSeenId;
+  let reachedCursor = false;
+  
+  for (let page = 1; page <= MAX_FEED_PAGES && !reachedCursor; page++) {
+    const pageEvents = await fetchPage(page);
+    if (pageEvents.length === 0) break;
+    
+    for (const event of pageEvents) {
+      const id = Number(event.id);
+      newestId = Math.max(newestId || 0, id);
+      
+      if (lastSeenId && id <= lastSeenId) {
+        reachedCursor = true;
+        break;
+      }
+      events.push(event);
+    }
+    
+    // A short page means the feed has no more events
+    if (pageEvents.length < FEED_PAGE_SIZE) break;
+  }
+  
+  return { events, newestId, hasGap: !lastSeenId || !reachedCursor };
+}
+
+/**
+ * Collect active GitHub repositories from an account's received-events feed
+ * 
+ * @param {Object} account - Connected GitHub account
+ * @param {number|null} lastSeenId - Event cursor from the previous check
+ * @returns {Promise<Object>} { repoRefs (full names), newestId, hasGap }
+ */
+export async function fetchGitHubActivity(account, lastSeenId) {
+  const { events, newestId, hasGap } = await readFeed(async (page) => {
+    const response = await fetchGitHub(
+      `/users/${account.user.login}/received_events?per_page=${FEED_PAGE_SIZE}&page=${page}`,
+      { account }
+    );
+    
+    // 422 means the pagination limit of the feed was reached
+    if (response.status === 422) return [];
+    if (!response.ok) {
+      throw new Error(`Failed to fetch GitHub events: ${response.status}`);
+    }
+    return response.json();
+  }, lastSeenId);
+  
+  const repoRefs = events
+    .filter(event => GITHUB_ACTIVITY_EVENTS.includes(event.type))
+    .map(event => event.repo.name);
+  
+  return { repoRefs, newestId, hasGap };
+}
+
+/**
+ * Collect active GitLab projects from an account's events
+ * 
+ * @param {Object} account - Connected GitLab account
+ * @param {number|null} lastSeenId - Event cursor from the previous check
+ * @returns {Promise<Object>} { repoRefs (project ids), newestId, hasGap }
+ */
+export async function fetchGitLabActivity(account, lastSeenId) {
+  const { events, newestId, hasGap } = await readFeed(async (page) => {
+    const response = await fetchGitLab(
+      `/events?scope=all&per_page=${FEED_PAGE_SIZE}&page=${page}`,
+      { account }
+    );
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch GitLab events: ${response.status}`);
+    }
+    return response.json();
+  }, lastSeenId);
+  
+  const repoRefs = events
+    .filter(isGitLabActivityEvent)
+    .map(event => event.project_id);
+  
+  return { repoRefs, newestId, hasGap };
+}
+
+/**
+ * Find the repositories with activity since the last check on all connected accounts
+ * 
+ * The feed positions are returned, not saved: they are only saved (saveEventCursors)
+ * once the repositories have been checked, so events of a failed check are read again.
+ * 
+ * @param {Array} repos - All monitored repositories
+ * @returns {Promise<Object>} { fullScan: true, cursors } when any feed has a gap,
+ *                            otherwise { fullScan: false, repoKeys: Set, cursors }
+ */
+export async function getActiveRepositories(repos) {
+  const { eventCursors = {} } = await getStorage('eventCursors');
+  const updatedCursors = { ...eventCursors };
+  const repoKeys = new Set();
+  let fullScan = false;
+  
+  // A repository is monitored through one account but its events can show up
+  // in the feed of any account on the same instance - match by instance instead
+  const accounts = await getAccounts();
+  const instanceUrls = new Map(accounts.map(account => [account.id, account.instanceUrl]));
+  const repoKeysByRef = new Map(repos.map(repo => [
+    `${instanceUrls.get(repo.accountId)} ${repo.platform === 'gitlab' ? repo.id : repo.full_name}`,
+    getRepoKey(repo)
+  ]));
+  
+  for (const account of accounts) {
+    const lastSeenId = eventCursors[account.id] || null;
+    
+    try {
+      const activity = account.platform === 'gitlab'
+        ? await fetchGitLabActivity(account, lastSeenId)
+        : await fetchGitHubActivity(account, lastSeenId);
+      activity.repoRefs
+        .map(ref => repoKeysByRef.get(`${account.instanceUrl} ${ref}`))
+        .filter(Boolean)
+        .forEach(key => repoKeys.add(key));
+      updatedCursors[account.id] = activity.newestId;
+      
+      if (activity.hasGap) {
+        console.log(`[Commit Watch] ${account.id} event feed has a gap, falling back to a full scan`);
+        fullScan = true;
+      }
+    } catch (error) {
+      console.error(`[Commit Watch] Error reading ${account.id} event feed:`, error);
+      fullScan = true;
+    }
+  }
+  
+  return fullScan
+    ? { fullScan: true, cursors: updatedCursors }
+    : { fullScan: false, repoKeys, cursors: updatedCursors };
+}
+
+/**
+ * Save the event feed positions returned by getActiveRepositories
+ * @param {Object} cursors - Newest event ID per account
+ */
+export async function saveEventCursors(cursors) {
+  await setStorage({ eventCursors: cursors });
+}
\ No newline at end of file
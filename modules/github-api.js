@@ -2,63 +2,78 @@
  * Commit Watch - GitHub API Utilities
  */
 
-import { GITHUB_API_BASE } from './constants.js';
-import { getAccessToken, getGitHubAccessToken } from './auth.js';
+import { resolveAccount } from './accounts.js';
 import { getStorage, setStorage } from './storage.js';
-
-/**
- * Rate limit tracking
- * GitHub API allows 5000 requests/hour for authenticated users
- */
-let rateLimitRemaining = 5000;
-let rateLimitReset = null;
+import { getConditionalHeaders, storeValidators } from './conditional-requests.js';
+import { getApiBase } from './instances.js';
 
 /**
  * Make authenticated request to GitHub API
- * Handles rate limiting and caching
+ * Handles rate limiting (tracked per account) and caching
  * 
- * @param {string} endpoint - API endpoint (e.g., '/user/repos')
- * @param {Object} options - Fetch options
+ * Pass `conditional: true` to send the validators (ETag / Last-Modified)
+ * remembered for this URL; the caller must then handle a 304 as "unchanged"
+ * 
+ * @param {string} endpoint - API endpoint (e.g., '/user/repos'), relative to the account's instance
+ * @param {Object} options - Fetch options, plus optional `conditional` flag and
+ *                           `account` (account object or id, defaults to the first GitHub account)
  * @returns {Promise<Response>}
  */
 export async function fetchGitHub(endpoint, options = {}) {
-  const token = await getAccessToken();
-  
-  if (!token) {
-    throw new Error('Not authenticated');
-  }
+  const { conditional = false, account = null, ...fetchOptions } = options;
+  const githubAccount = await resolveAccount('github', account);
   
   // Check rate limit before making request
-  if (rateLimitRemaining <= 10 && rateLimitReset) {
+  // GitHub API allows 5000 requests/hour for authenticated users
+  const { githubRateLimits = {} } = await getStorage('githubRateLimits');
+  const rateLimit = githubRateLimits[githubAccount.id];
+  if (rateLimit && rateLimit.remaining <= 10 && rateLimit.reset) {
     const now = Date.now() / 1000;
-    if (now < rateLimitReset) {
-      const waitTime = Math.ceil((rateLimitReset - now) / 60);
+    if (now < rateLimit.reset) {
+      const waitTime = Math.ceil((rateLimit.reset - now) / 60);
       throw new Error(`Rate limit exceeded. Resets in ${waitTime} minutes.`);
     }
   }
   
-  const url = endpoint.startsWith('http') ? endpoint : `${GITHUB_API_BASE}${endpoint}`;
+  const url = endpoint.startsWith('http') ? endpoint : `${getApiBase(githubAccount)}${endpoint}`;
+  
+  // Responses differ per user, so validators are remembered per account
+  const validatorKey = `${githubAccount.id} ${url}`;
+  const conditionalHeaders = conditional ? await getConditionalHeaders(validatorKey) : {};
   
   const response = await fetch(url, {
-    ...options,
+    ...fetchOptions,
     headers: {
-      'Authorization': `Bearer ${token}`,
+      'Authorization': `Bearer ${githubAccount.token}`,
       'Accept': 'application/vnd.github.v3+json',
       'X-GitHub-Api-Version': '2022-11-28',
-      ...options.headers
+      ...conditionalHeaders,
+      ...fetchOptions.headers
     }
   });
   
-  // Update rate limit tracking from response headers
-  rateLimitRemaining = parseInt(response.headers.get('X-RateLimit-Remaining') || '5000');
-  rateLimitReset = parseInt(response.headers.get('X-RateLimit-Reset') || '0');
+  // Remember validators so the next conditional request can get a 304
+  // (GitHub does not count 304 responses against the rate limit)
+  if (conditional) {
+    await storeValidators(validatorKey, response);
+  }
+  
+  // GraphQL has its own point budget - only track the REST (core) quota;
+  // accounts that are still being verified have no id to track it under
+  if (response.headers.get('X-RateLimit-Resource') === 'graphql' || !githubAccount.id) {
+    return response;
+  }
   
   // Store rate limit info for display in popup
+  const { githubRateLimits: currentRateLimits = {} } = await getStorage('githubRateLimits');
   await setStorage({
-    rateLimit: {
-      remaining: rateLimitRemaining,
-      reset: rateLimitReset,
-      limit: parseInt(response.headers.get('X-RateLimit-Limit') || '5000')
+    githubRateLimits: {
+      ...currentRateLimits,
+      [githubAccount.id]: {
+        remaining: parseInt(response.headers.get('X-RateLimit-Remaining') || '5000'),
+        reset: parseInt(response.headers.get('X-RateLimit-Reset') || '0'),
+        limit: parseInt(response.headers.get('X-RateLimit-Limit') || '5000')
+      }
     }
   });
   
@@ -0,0 +1,208 @@
+/**
+ * Commit Watch - GitHub GraphQL Polling Backend
+ * 
+ * Asks for the default-branch head, recent releases and latest tag of many
+ * repositories in one query, so a polling cycle costs a handful of requests
+ * instead of several REST calls per repository.
+ */
+
+import { fetchGitHub } from './github-api.js';
+import { getGitHubGraphQLUrl } from './instances.js';
+import { resolveAccount } from './accounts.js';
+import { getRepoKey, isPrereleaseVersion } from './utils.js';
+
+// Repositories per GraphQL query (keeps queries well below GitHub's node limits)
+const GRAPHQL_BATCH_SIZE = 50;
+
+// Snapshots are shared between the commit and release checks of one cycle
+const SNAPSHOT_MAX_AGE = 60 * 1000;
+
+/**
+ * Cached snapshots: { [repoKey]: { snapshot, timestamp } }
+ */
+const snapshotCache = new Map();
+
+/**
+ * Fields requested for every repository
+ */
+const REPOSITORY_FIELDS = `
+  defaultBranchRef {
+    name
+    target { oid }
+  }
+  releases(first: 10, orderBy: { field: CREATED_AT, direction: DESC }) {
+    nodes {
+      databaseId
+      tagName
+      name
+      url
+      description
+      isPrerelease
+      isDraft
+      createdAt
+      publishedAt
+      author { login }
+      tagCommit { oid }
+    }
+  }
+  refs(refPrefix: "refs/tags/", first: 1, orderBy: { field: TAG_COMMIT_DATE, direction: DESC }) {
+    nodes {
+      name
+      target {
+        oid
+        ... on Tag { target { oid } }
+      }
+    }
+  }
+`;
+
+/**
+ * Run a GraphQL query against the GitHub API
+ * 
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {Object|string} account - Account (or account id) to query with, defaults to the first GitHub account
+ * @returns {Promise<Object>} Response data
+ */
+export async function fetchGitHubGraphQL(query, variables = {}, account = null) {
+  const githubAccount = await resolveAccount('github', account);
+  const response = await fetchGitHub(getGitHubGraphQLUrl(githubAccount), {
+    account: githubAccount,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`GitHub GraphQL error: ${response.status}`);
+  }
+  
+  const result = await response.json();
+  
+  // Partial errors (e.g. one repository not found) still return data for the rest
+  if (result.errors && !result.data) {
+    throw new Error(`GitHub GraphQL error: ${result.errors[0]?.message}`);
+  }
+  
+  return result.data || {};
+}
+
+/**
+ * Normalize a GraphQL repository node into a snapshot
+ * Releases and tag use the same shape as the REST release/tag fetchers
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} node - GraphQL repository node
+ * @returns {Object} { defaultBranch, headSha, releases, tag } - releases newest first
+ */
+function normalizeSnapshot(repo, node) {
+  const tagNode = node.refs?.nodes?.[0];
+  
+  return {
+    defaultBranch: node.defaultBranchRef?.name || repo.default_branch,
+    headSha: node.defaultBranchRef?.target?.oid || null,
+    releases: (node.releases?.nodes || []).map(release => ({
+      id: release.databaseId,
+      tag_name: release.tagName,
+      name: release.name || release.tagName,
+      html_url: release.url,
+      prerelease: release.isPrerelease,
+      draft: release.isDraft,
+      author: release.author ? { login: release.author.login } : null,
+      body: release.description || '',
+      sha: release.tagCommit?.oid || null,
+      created_at: release.createdAt,
+      published_at: release.publishedAt
+    })),
+    tag: tagNode ? {
+      // Annotated tags point to a Tag object, lightweight tags directly to the commit
+      id: tagNode.target?.target?.oid || tagNode.target?.oid,
+      sha: tagNode.target?.target?.oid || tagNode.target?.oid,
+      tag_name: tagNode.name,
+      name: tagNode.name,
+      html_url: `${repo.html_url}/releases/tag/${tagNode.name}`,
+      prerelease: isPrereleaseVersion(tagNode.name),
+      isTag: true
+    } : null
+  };
+}
+
+/**
+ * Fetch snapshots for a batch of GitHub repositories in a single query
+ * 
+ * @param {Array} repos - GitHub repository objects, all watched through the same account
+ * @returns {Promise<Object>} { [repoKey]: snapshot } (missing repos are omitted)
+ */
+async function fetchSnapshotBatch(repos) {
+  const variableDefs = [];
+  const fields = [];
+  const variables = {};
+  
+  repos.forEach((repo, index) => {
+    const [owner, ...nameParts] = repo.full_name.split('/');
+    variables[`owner${index}`] = owner;
+    variables[`name${index}`] = nameParts.join('/');
+    variableDefs.push(`$owner${index}: String!`, `$name${index}: String!`);
+    fields.push(`r${index}: repository(owner: $owner${index}, name: $name${index}) { ${REPOSITORY_FIELDS} }`);
+  });
+  
+  const query = `query(${variableDefs.join(', ')}) { ${fields.join('\n')} }`;
+  const data = await fetchGitHubGraphQL(query, variables, repos[0].accountId);
+  
+  const snapshots = {};
+  repos.forEach((repo, index) => {
+    const node = data[`r${index}`];
+    if (node) {
+      snapshots[getRepoKey(repo)] = normalizeSnapshot(repo, node);
+    }
+  });
+  
+  return snapshots;
+}
+
+/**
+ * Get head SHA / recent releases / latest tag snapshots for GitHub repositories
+ * Reuses snapshots fetched earlier in the same polling cycle
+ * 
+ * @param {Array} repos - Repository objects (non-GitHub repos are ignored)
+ * @returns {Promise<Object>} { [repoKey]: snapshot } - repos that failed are omitted
+ *                            so callers can fall back to REST for them
+ */
+export async function getGitHubRepositorySnapshots(repos) {
+  const now = Date.now();
+  const githubRepos = repos.filter(repo => (repo.platform || 'github') === 'github');
+  const snapshots = {};
+  
+  // Stale repositories grouped by account, since each batch runs with one token
+  const staleByAccount = new Map();
+  
+  for (const repo of githubRepos) {
+    const cached = snapshotCache.get(getRepoKey(repo));
+    if (cached && now - cached.timestamp < SNAPSHOT_MAX_AGE) {
+      snapshots[getRepoKey(repo)] = cached.snapshot;
+    } else {
+      staleByAccount.set(repo.accountId, [...(staleByAccount.get(repo.accountId) || []), repo]);
+    }
+  }
+  
+  const batches = [];
+  for (const stale of staleByAccount.values()) {
+    for (let i = 0; i < stale.length; i += GRAPHQL_BATCH_SIZE) {
+      batches.push(stale.slice(i, i + GRAPHQL_BATCH_SIZE));
+    }
+  }
+  
+  for (const batch of batches) {
+    try {
+      const batchSnapshots = await fetchSnapshotBatch(batch);
+      for (const [repoKey, snapshot] of Object.entries(batchSnapshots)) {
+        snapshots[repoKey] = snapshot;
+        snapshotCache.set(repoKey, { snapshot, timestamp: now });
+      }
+    } catch (error) {
+      console.error('[Commit Watch] GraphQL snapshot batch failed, falling back to REST:', error);
+    }
+  }
+  
+  return snapshots;
+}
\ No newline at end of file
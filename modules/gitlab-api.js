@@ -2,63 +2,76 @@
  * Commit Watch - GitLab API Utilities
  */
 
-import { GITLAB_API_BASE } from './constants.js';
-import { getGitLabAccessToken } from './auth.js';
+import { resolveAccount, getRepositoriesCacheKey } from './accounts.js';
 import { getStorage, setStorage } from './storage.js';
+import { getConditionalHeaders, storeValidators } from './conditional-requests.js';
+import { getApiBase } from './instances.js';
 import { getSettings } from './settings.js';
 
-/**
- * Rate limit tracking for GitLab
- * GitLab API allows 2000 requests/minute for authenticated users
- */
-let gitlabRateLimitRemaining = 2000;
-let gitlabRateLimitReset = null;
-
 /**
  * Make authenticated request to GitLab API
+ * Handles rate limiting (tracked per account)
  * 
- * @param {string} endpoint - API endpoint (e.g., '/projects')
- * @param {Object} options - Fetch options
+ * Pass `conditional: true` to send the validators (ETag / Last-Modified)
+ * remembered for this URL; the caller must then handle a 304 as "unchanged"
+ * 
+ * @param {string} endpoint - API endpoint (e.g., '/projects'), relative to the account's instance
+ * @param {Object} options - Fetch options, plus optional `conditional` flag and
+ *                           `account` (account object or id, defaults to the first GitLab account)
  * @returns {Promise<Response>}
  */
 export async function fetchGitLab(endpoint, options = {}) {
-  const token = await getGitLabAccessToken();
-  
-  if (!token) {
-    throw new Error('Not authenticated to GitLab');
-  }
+  const { conditional = false, account = null, ...fetchOptions } = options;
+  const gitlabAccount = await resolveAccount('gitlab', account);
   
   // Check rate limit before making request
-  if (gitlabRateLimitRemaining <= 10 && gitlabRateLimitReset) {
+  // GitLab API allows 2000 requests/minute for authenticated users
+  const { gitlabRateLimits = {} } = await getStorage('gitlabRateLimits');
+  const rateLimit = gitlabRateLimits[gitlabAccount.id];
+  if (rateLimit && rateLimit.remaining <= 10 && rateLimit.reset) {
     const now = Date.now() / 1000;
-    if (now < gitlabRateLimitReset) {
-      const waitTime = Math.ceil((gitlabRateLimitReset - now) / 60);
+    if (now < rateLimit.reset) {
+      const waitTime = Math.ceil((rateLimit.reset - now) / 60);
       throw new Error(`GitLab rate limit exceeded. Resets in ${waitTime} minutes.`);
     }
   }
   
-  const url = endpoint.startsWith('http') ? endpoint : `${GITLAB_API_BASE}${endpoint}`;
+  const url = endpoint.startsWith('http') ? endpoint : `${getApiBase(gitlabAccount)}${endpoint}`;
+  
+  // Responses differ per user, so validators are remembered per account
+  const validatorKey = `${gitlabAccount.id} ${url}`;
+  const conditionalHeaders = conditional ? await getConditionalHeaders(validatorKey) : {};
   
   const response = await fetch(url, {
-    ...options,
+    ...fetchOptions,
     headers: {
-      'PRIVATE-TOKEN': token,
+      'PRIVATE-TOKEN': gitlabAccount.token,
       'Content-Type': 'application/json',
-      ...options.headers
+      ...conditionalHeaders,
+      ...fetchOptions.headers
     }
   });
   
-  // Update rate limit tracking from response headers
-  gitlabRateLimitRemaining = parseInt(response.headers.get('RateLimit-Remaining') || '2000');
-  gitlabRateLimitReset = parseInt(response.headers.get('RateLimit-Reset') || '0');
+  // Remember validators so the next conditional request can get a 304
+  if (conditional) {
+    await storeValidators(validatorKey, response);
+  }
+  
+  // Accounts that are still being verified have no id to track the rate limit under
+  if (!gitlabAccount.id) {
+    return response;
+  }
   
   // Store rate limit info for display in popup
-  const { rateLimit = {} } = await getStorage('rateLimit');
+  const { gitlabRateLimits: currentRateLimits = {} } = await getStorage('gitlabRateLimits');
   await setStorage({
-    gitlabRateLimit: {
-      remaining: gitlabRateLimitRemaining,
-      reset: gitlabRateLimitReset,
-      limit: parseInt(response.headers.get('RateLimit-Limit') || '2000')
+    gitlabRateLimits: {
+      ...currentRateLimits,
+      [gitlabAccount.id]: {
+        remaining: parseInt(response.headers.get('RateLimit-Remaining') || '2000'),
+        reset: parseInt(response.headers.get('RateLimit-Reset') || '0'),
+        limit: parseInt(response.headers.get('RateLimit-Limit') || '2000')
+      }
     }
   });
   
@@ -78,8 +91,9 @@ export function normalizeGitLabProject(project) {
     private: project.visibility !== 'public',
     fork: !!project.forked_from_project,
     default_branch: project.default_branch || 'main',
-    language: null, // GitLab doesn't return this in project list
+    language: null, // Not in the project list, see getRepositoryLanguage
     html_url: project.web_url,
+    last_activity_at: project.last_activity_at,
     platform: 'gitlab',
     owner: {
       login: project.namespace?.path || project.path_with_namespace.split('/')[0],
@@ -89,12 +103,13 @@ export function normalizeGitLabProject(project) {
 }
 
 /**
- * Fetch all GitLab projects the user is a member of
+ * Fetch all GitLab projects an account is a member of
  * Uses pagination to get all projects
  * 
+ * @param {Object} account - Connected GitLab account
  * @returns {Promise<Array>} List of projects (normalized to match GitHub format)
  */
-export async function fetchGitLabProjects() {
+export async function fetchGitLabProjects(account) {
   const settings = await getSettings();
   const projects = [];
   let page = 1;
@@ -103,7 +118,8 @@ export async function fetchGitLabProjects() {
   // Fetch all pages of projects
   while (hasMore) {
     const response = await fetchGitLab(
-      `/projects?membership=true&per_page=100&page=${page}`
+      `/projects?membership=true&per_page=100&page=${page}`,
+      { account }
     );
     
     if (!response.ok) {
@@ -118,7 +134,7 @@ export async function fetchGitLabProjects() {
       // Normalize GitLab projects to match GitHub repo format
       const normalizedProjects = pageProjects
         .filter(project => !settings.ignoreForks || !project.forked_from_project)
-        .map(project => normalizeGitLabProject(project));
+        .map(project => ({ ...normalizeGitLabProject(project), accountId: account.id }));
       
       projects.push(...normalizedProjects);
       page++;
@@ -128,10 +144,9 @@ export async function fetchGitLabProjects() {
     if (page > 50) break;
   }
   
-  // Cache projects
+  // Cache projects per account
   await setStorage({ 
-    gitlabRepositories: projects,
-    gitlabRepositoriesUpdated: Date.now()
+    [getRepositoriesCacheKey(account.id)]: { repositories: projects, updated: Date.now() }
   });
   
   return projects;
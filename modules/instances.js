@@ -0,0 +1,98 @@
+/**
+ * Commit Watch - Platform Instances (GitHub Enterprise Server / self-managed GitLab)
+ * 
+ * Each connected account has a web base URL (github.com, gitlab.com or a
+ * self-hosted instance). API and web URLs are derived from it.
+ */
+
+import { GITHUB_API_BASE, DEFAULT_INSTANCE_URLS } from './constants.js';
+import { getAccounts } from './accounts.js';
+
+/**
+ * Normalize a user-entered instance URL
+ * Keeps a path prefix (GitLab can be served from a relative URL root)
+ * 
+ * @param {string} url - Instance URL, e.g. 'https://gitlab.example.com/'
+ * @returns {string|null} Normalized URL without trailing slash, or null if invalid
+ */
+export function normalizeInstanceUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the host permission pattern needed to reach an instance
+ * @param {string} instanceUrl - Normalized instance URL
+ * @returns {string} Match pattern, e.g. 'https://gitlab.example.com/*'
+ */
+export function getInstanceOriginPattern(instanceUrl) {
+  return `${new URL(instanceUrl).origin}/*`;
+}
+
+/**
+ * Check if an instance is the public github.com / gitlab.com
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {string} instanceUrl - Normalized instance URL
+ * @returns {boolean}
+ */
+export function isDefaultInstance(platform, instanceUrl) {
+  return !instanceUrl || instanceUrl === DEFAULT_INSTANCE_URLS[platform];
+}
+
+/**
+ * Get the web base URL of the first connected account of a platform
+ * @param {string} platform - 'github' or 'gitlab'
+ * @returns {Promise<string>} e.g. 'https://github.com' or 'https://ghe.example.com'
+ */
+export async function getInstanceUrl(platform) {
+  const [account] = await getAccounts(platform);
+  return account?.instanceUrl || DEFAULT_INSTANCE_URLS[platform];
+}
+
+/**
+ * Check if the extension may reach an instance
+ * The public instances are covered by the manifest host permissions,
+ * self-hosted ones need the optional permission granted at runtime
+ * 
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {string} instanceUrl - Normalized instance URL
+ * @returns {Promise<boolean>}
+ */
+export async function hasInstancePermission(platform, instanceUrl) {
+  if (isDefaultInstance(platform, instanceUrl)) return true;
+  return chrome.permissions.contains({ origins: [getInstanceOriginPattern(instanceUrl)] });
+}
+
+/**
+ * Get the REST API base URL of an account
+ * @param {Object} account - Connected account
+ * @returns {string}
+ */
+export function getApiBase(account) {
+  const { platform, instanceUrl } = account;
+  
+  if (platform === 'gitlab') {
+    return `${instanceUrl}/api/v4`;
+  }
+  
+  // GitHub Enterprise Server serves the REST API under /api/v3
+  return isDefaultInstance('github', instanceUrl) ? GITHUB_API_BASE : `${instanceUrl}/api/v3`;
+}
+
+/**
+ * Get the GraphQL endpoint of a GitHub account
+ * (GitHub Enterprise Server serves it under /api/graphql, not /api/v3/graphql)
+ * 
+ * @param {Object} account - Connected GitHub account
+ * @returns {string}
+ */
+export function getGitHubGraphQLUrl(account) {
+  return isDefaultInstance('github', account.instanceUrl)
+    ? `${GITHUB_API_BASE}/graphql`
+    : `${account.instanceUrl}/api/graphql`;
+}
\ No newline at end of file
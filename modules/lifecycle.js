@@ -2,7 +2,7 @@
  * Commit Watch - Extension Lifecycle Handlers
  */
 
-import { DEFAULT_CHECK_INTERVAL } from './constants.js';
+import { DEFAULT_SETTINGS } from './settings.js';
 import { setStorage } from './storage.js';
 import { refreshBadge } from './badge.js';
 import { isAuthenticated } from './auth.js';
@@ -17,16 +17,7 @@ export function setupLifecycleHandlers() {
     
     if (details.reason === 'install') {
       // Set default settings on fresh install
-      await setStorage({
-        settings: {
-          checkInterval: DEFAULT_CHECK_INTERVAL,
-          ignoreForks: true,
-          ignoreOwnCommits: false,
-          enabledRepos: {},
-          notificationsEnabled: true,
-          releaseNotificationsEnabled: true
-        }
-      });
+      await setStorage({ settings: DEFAULT_SETTINGS });
       
       // Open options page for initial setup
       chrome.runtime.openOptionsPage();
@@ -5,22 +5,62 @@
 import { getStorage, setStorage } from './storage.js';
 import { getSettings } from './settings.js';
 import { 
-  setGitHubAccessToken, 
-  setGitLabAccessToken, 
   isGitHubAuthenticated, 
   isGitLabAuthenticated,
+  disconnectAccounts,
   logout 
 } from './auth.js';
 import { fetchGitHub } from './github-api.js';
-import { fetchGitLab } from './gitlab-api.js';
-import { fetchUserRepositories } from './repositories.js';
-import { fetchGitLabProjects } from './gitlab-api.js';
-import { getRepositories } from './repositories.js';
+import { fetchGitLab, fetchGitLabProjects } from './gitlab-api.js';
+import { 
+  fetchUserRepositories, 
+  getRepositories, 
+  clearRepositoryCache,
+  addWatchedRepository,
+  removeWatchedRepository
+} from './repositories.js';
 import { checkAllRepositoriesForCommits } from './commit-monitoring.js';
 import { checkAllRepositoriesForReleases } from './release-monitoring.js';
 import { checkGitHubNotifications } from './notifications.js';
 import { clearUnreadCount } from './badge.js';
 import { startPolling, stopPolling } from './polling.js';
+import { describeSchedule } from './scheduler.js';
+import { getClassificationRules, validateClassificationRules, BUILT_IN_RULE_IDS } from './classification-rules.js';
+import { DEFAULT_INSTANCE_URLS } from './constants.js';
+import { normalizeInstanceUrl, hasInstancePermission } from './instances.js';
+import { getAccounts, getAccountId, saveAccount } from './accounts.js';
+
+/**
+ * Resolve the instance requested by the UI for a new account
+ * The options page requests the host permission before sending the message
+ * 
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {string|undefined} requestedUrl - Instance URL (empty for the public instance)
+ * @returns {Promise<Object>} { instanceUrl } or { error }
+ */
+async function resolveRequestedInstance(platform, requestedUrl) {
+  const instanceUrl = requestedUrl ? normalizeInstanceUrl(requestedUrl) : DEFAULT_INSTANCE_URLS[platform];
+  if (!instanceUrl) {
+    return { error: 'Invalid server URL' };
+  }
+  if (!(await hasInstancePermission(platform, instanceUrl))) {
+    return { error: `Permission to access ${instanceUrl} was not granted` };
+  }
+  return { instanceUrl };
+}
+
+/**
+ * Get the lowest remaining rate limit across accounts
+ * @param {Array} accounts - Accounts of one platform
+ * @param {Object} rateLimits - Stored rate limits by account id
+ * @returns {Object|undefined} Rate limit entry
+ */
+function getLowestRateLimit(accounts, rateLimits) {
+  return accounts
+    .map(account => rateLimits[account.id])
+    .filter(Boolean)
+    .sort((a, b) => a.remaining - b.remaining)[0];
+}
 
 /**
  * Async message handler
@@ -33,45 +73,52 @@ export async function handleMessage(message) {
     switch (message.action) {
       case 'authenticate':
       case 'authenticateGitHub':
-        // Store the GitHub token provided by user (PAT method)
+        // Connect a GitHub account with the token provided by user (PAT method)
         if (message.token) {
-          await setGitHubAccessToken(message.token);
+          const githubInstance = await resolveRequestedInstance('github', message.instanceUrl);
+          if (githubInstance.error) {
+            return { success: false, error: githubInstance.error };
+          }
           
-          // Fetch and store user data
-          const response = await fetchGitHub('/user');
-          if (!response.ok) {
-            await setGitHubAccessToken(null);
+          // Verify the token before storing the account
+          const githubAccount = { platform: 'github', instanceUrl: githubInstance.instanceUrl, token: message.token };
+          const response = await fetchGitHub('/user', { account: githubAccount }).catch(() => null);
+          if (!response?.ok) {
             return { success: false, error: 'Invalid GitHub token' };
           }
           
-          const userData = await response.json();
-          await setStorage({ userData });
+          githubAccount.user = await response.json();
+          githubAccount.id = getAccountId('github', githubAccount.user.login, githubAccount.instanceUrl);
+          await saveAccount(githubAccount);
           
           // Fetch initial repositories
-          await fetchUserRepositories();
+          await fetchUserRepositories(githubAccount);
           
           // Start polling
           await startPolling();
           
-          return { success: true, user: userData, platform: 'github' };
+          return { success: true, user: githubAccount.user, accountId: githubAccount.id, platform: 'github' };
         }
         return { success: false, error: 'No token provided' };
         
       case 'authenticateGitLab':
-        // Store the GitLab token provided by user
+        // Connect a GitLab account with the token provided by user
         if (message.token) {
-          await setGitLabAccessToken(message.token);
+          const gitlabInstance = await resolveRequestedInstance('gitlab', message.instanceUrl);
+          if (gitlabInstance.error) {
+            return { success: false, error: gitlabInstance.error };
+          }
           
-          // Fetch and store GitLab user data
-          const gitlabResponse = await fetchGitLab('/user');
-          if (!gitlabResponse.ok) {
-            await setGitLabAccessToken(null);
+          // Verify the token before storing the account
+          const gitlabAccount = { platform: 'gitlab', instanceUrl: gitlabInstance.instanceUrl, token: message.token };
+          const gitlabResponse = await fetchGitLab('/user', { account: gitlabAccount }).catch(() => null);
+          if (!gitlabResponse?.ok) {
             return { success: false, error: 'Invalid GitLab token' };
           }
           
           const gitlabUser = await gitlabResponse.json();
           // Normalize GitLab user to match GitHub format
-          const gitlabUserData = {
+          gitlabAccount.user = {
             login: gitlabUser.username,
             name: gitlabUser.name,
             email: gitlabUser.email,
@@ -80,36 +127,33 @@ export async function handleMessage(message) {
             id: gitlabUser.id,
             platform: 'gitlab'
           };
-          await setStorage({ gitlabUserData });
+          gitlabAccount.id = getAccountId('gitlab', gitlabAccount.user.login, gitlabAccount.instanceUrl);
+          await saveAccount(gitlabAccount);
           
           // Fetch initial GitLab projects
-          await fetchGitLabProjects();
+          await fetchGitLabProjects(gitlabAccount);
           
           // Start polling if not already running
           await startPolling();
           
-          return { success: true, user: gitlabUserData, platform: 'gitlab' };
+          return { success: true, user: gitlabAccount.user, accountId: gitlabAccount.id, platform: 'gitlab' };
         }
         return { success: false, error: 'No token provided' };
         
       case 'logout':
         await logout();
         return { success: true };
-        
-      case 'logoutGitHub':
-        await chrome.storage.local.remove(['githubToken', 'userData', 'repositories', 'lastCommits']);
-        // Check if GitLab is still connected, if not stop polling
-        if (!(await isGitLabAuthenticated())) {
-          await stopPolling();
-        }
+      
+      case 'removeAccount':
+        await disconnectAccounts([message.accountId]);
         return { success: true };
-        
+      
+      case 'logoutGitHub':
       case 'logoutGitLab':
-        await chrome.storage.local.remove(['gitlabToken', 'gitlabUserData', 'gitlabRepositories', 'gitlabLastCommits']);
-        // Check if GitHub is still connected, if not stop polling
-        if (!(await isGitHubAuthenticated())) {
-          await stopPolling();
-        }
+        // Disconnect every account of the platform
+        const logoutPlatform = message.action === 'logoutGitLab' ? 'gitlab' : 'github';
+        const platformAccounts = await getAccounts(logoutPlatform);
+        await disconnectAccounts(platformAccounts.map(account => account.id));
         return { success: true };
         
       case 'getStatus':
@@ -118,31 +162,56 @@ export async function handleMessage(message) {
           isGitLabAuthenticated()
         ]);
         const { 
-          userData, gitlabUserData, 
-          rateLimit, gitlabRateLimit: storedGitlabRateLimit,
+          githubRateLimits = {}, gitlabRateLimits = {},
           lastCheckTime, lastError 
         } = await getStorage([
-          'userData', 'gitlabUserData', 
-          'rateLimit', 'gitlabRateLimit',
+          'githubRateLimits', 'gitlabRateLimits',
           'lastCheckTime', 'lastError'
         ]);
+        const connectedAccounts = await getAccounts();
+        const githubAccounts = connectedAccounts.filter(account => account.platform === 'github');
+        const gitlabAccounts = connectedAccounts.filter(account => account.platform === 'gitlab');
         
         return {
           authenticated: isGitHubAuth || isGitLabAuth,
           githubAuthenticated: isGitHubAuth,
           gitlabAuthenticated: isGitLabAuth,
-          user: userData,
-          gitlabUser: gitlabUserData,
-          rateLimit,
-          gitlabRateLimit: storedGitlabRateLimit,
+          // Tokens never leave the service worker
+          accounts: connectedAccounts.map(({ token, ...account }) => ({
+            ...account,
+            rateLimit: (account.platform === 'gitlab' ? gitlabRateLimits : githubRateLimits)[account.id]
+          })),
+          user: githubAccounts[0]?.user,
+          gitlabUser: gitlabAccounts[0]?.user,
+          rateLimit: getLowestRateLimit(githubAccounts, githubRateLimits),
+          gitlabRateLimit: getLowestRateLimit(gitlabAccounts, gitlabRateLimits),
           lastCheckTime,
-          lastError
+          lastError,
+          githubInstanceUrl: githubAccounts[0]?.instanceUrl || DEFAULT_INSTANCE_URLS.github,
+          gitlabInstanceUrl: gitlabAccounts[0]?.instanceUrl || DEFAULT_INSTANCE_URLS.gitlab
         };
         
       case 'getRepositories':
         const repos = await getRepositories();
         return { success: true, repositories: repos };
+      
+      case 'addWatchedRepo':
+        // Watch a repository the user is not a member of (URL or owner/name)
+        if (!message.reference?.trim()) {
+          return { success: false, error: 'No repository provided' };
+        }
+        const watchedRepo = await addWatchedRepository(message.reference, message.platform);
+        return { success: true, repository: watchedRepo };
         
+      case 'removeWatchedRepo':
+        await removeWatchedRepository(message.repoKey);
+        return { success: true };
+        
+      case 'refreshRepositories':
+        await clearRepositoryCache();
+        const refreshedRepos = await getRepositories();
+        return { success: true, repositories: refreshedRepos };
+      
       case 'checkNow':
         await checkAllRepositoriesForCommits();
         await checkAllRepositoriesForReleases();
@@ -173,6 +242,32 @@ export async function handleMessage(message) {
         const settings = await getSettings();
         return { success: true, settings };
         
+      case 'getRepoSchedule':
+        const schedule = await describeSchedule(await getRepositories(), await getSettings());
+        return { success: true, schedule };
+        
+      case 'getClassificationRules':
+        const ruleSettings = await getSettings();
+        return {
+          success: true,
+          rules: getClassificationRules(ruleSettings),
+          isDefault: !ruleSettings.classificationRules
+        };
+        
+      case 'saveClassificationRules':
+        const rulesError = validateClassificationRules(message.rules);
+        if (rulesError) {
+          return { success: false, error: rulesError };
+        }
+        await setStorage({
+          settings: { ...await getSettings(), classificationRules: message.rules, classificationRuleIds: BUILT_IN_RULE_IDS }
+        });
+        return { success: true };
+        
+      case 'resetClassificationRules':
+        await setStorage({ settings: { ...await getSettings(), classificationRules: null, classificationRuleIds: null } });
+        return { success: true };
+        
       case 'clearBadge':
         await clearUnreadCount();
         return { success: true };
@@ -3,6 +3,20 @@
  */
 
 import { getStorage } from './storage.js';
+import { getInstanceUrl } from './instances.js';
+
+/**
+ * Get the fallback page for a notification without a stored URL
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<string>} Instance home (GitLab) or notifications page (GitHub)
+ */
+async function getFallbackUrl(notificationId) {
+  // Determine platform from notification ID
+  if (notificationId.startsWith('gitlab-')) {
+    return getInstanceUrl('gitlab');
+  }
+  return `${await getInstanceUrl('github')}/notifications`;
+}
 
 /**
  * Handle notification click to open relevant URL
@@ -15,17 +29,14 @@ export function setupNotificationHandlers() {
     
     if (notification && notification.url) {
       chrome.tabs.create({ url: notification.url });
-    } else if (notificationId.startsWith('github-') || notificationId.includes('-commit-') || notificationId.includes('-release-')) {
-      // Determine platform from notification ID
-      const isGitLab = notificationId.startsWith('gitlab-');
-      const baseUrl = isGitLab ? 'https://gitlab.com' : 'https://github.com/notifications';
-      chrome.tabs.create({ url: baseUrl });
+    } else if (notificationId.startsWith('github-') || notificationId.includes('-commit-') || notificationId.includes('-rewrite-') || notificationId.includes('-secret-') || notificationId.includes('-unsigned-') || notificationId.includes('-bots-') || notificationId.includes('-release-')) {
+      chrome.tabs.create({ url: await getFallbackUrl(notificationId) });
     }
     
     // Clear the notification
     chrome.notifications.clear(notificationId);
   });
-
+  
   /**
    * Handle notification button clicks (WhatsApp-style actions)
    */
@@ -37,11 +48,8 @@ export function setupNotificationHandlers() {
       // First button: View/Open
       if (notification && notification.url) {
         chrome.tabs.create({ url: notification.url });
-      } else if (notificationId.startsWith('github-') || notificationId.includes('-commit-') || notificationId.includes('-release-')) {
-        // Determine platform from notification ID
-        const isGitLab = notificationId.startsWith('gitlab-');
-        const baseUrl = isGitLab ? 'https://gitlab.com' : 'https://github.com/notifications';
-        chrome.tabs.create({ url: baseUrl });
+      } else if (notificationId.startsWith('github-') || notificationId.includes('-commit-') || notificationId.includes('-rewrite-') || notificationId.includes('-secret-') || notificationId.includes('-unsigned-') || notificationId.includes('-bots-') || notificationId.includes('-release-')) {
+        chrome.tabs.create({ url: await getFallbackUrl(notificationId) });
       }
     }
     
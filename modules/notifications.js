@@ -2,11 +2,17 @@
  * Commit Watch - Notification Creation and Sending
  */
 
-import { truncate, formatTime, getNotificationTypeInfo } from './utils.js';
+import { truncate, formatTime, getNotificationTypeInfo, getReleaseNotesSummary } from './utils.js';
 import { getStorage, setStorage } from './storage.js';
 import { getSettings } from './settings.js';
 import { analyzeCommitType } from './commit-analysis.js';
+import { getClassificationRules } from './classification-rules.js';
+import { formatConventionalType } from './conventional-commits.js';
+import { sortDependencyChanges, formatDependencyChange } from './dependency-analysis.js';
+import { detectBotAuthor, parseCoAuthors } from './commit-authors.js';
 import { fetchGitHub } from './github-api.js';
+import { getApiBase } from './instances.js';
+import { getAccounts } from './accounts.js';
 
 /**
  * Unified Chrome notification creator for all types.
@@ -67,16 +73,22 @@ export async function storeNotificationHistory(notification) {
  * @param {Object} repo - Repository object
  * @param {Object} commit - Commit object
  * @param {string} priority - Priority level
+ * @param {string} branch - Branch the commit landed on
+ * @param {Object} classification - { reasons, ownedFiles, dependencyChanges } from classifyCommitPriority,
+ *                                  and the signature verification of the commit
  */
-export async function sendCommitNotification(repo, commit, priority) {
+export async function sendCommitNotification(repo, commit, priority, branch = repo.default_branch, classification = {}) {
+  const { reasons = [], ownedFiles = [], dependencyChanges = [], verification = null } = classification;
   const settings = await getSettings();
   
   if (!settings.notificationsEnabled) return;
   
   // Analyze commit type
-  const analysis = analyzeCommitType(commit);
+  const analysis = analyzeCommitType(commit, getClassificationRules(settings), repo);
   const commitType = analysis.type;
   const typeInfo = getNotificationTypeInfo(commitType);
+  const { conventional } = analysis;
+  const typeLabel = conventional ? `${typeInfo.label} · ${formatConventionalType(conventional)}` : typeInfo.label;
   
   // Build notification message
   const authorName = commit.commit.author?.name || commit.author?.login || 'Unknown';
@@ -84,6 +96,10 @@ export async function sendCommitNotification(repo, commit, priority) {
   const messageLines = fullMessage.split('\n').filter(l => l.trim());
   const title = messageLines[0] || 'No message';
   const description = messageLines.slice(1).join(' ').substring(0, 100);
+  
+  // Dependency changes replace the message body: the packages matter more than the description
+  const notableDependencies = sortDependencyChanges(dependencyChanges);
+  const dependencyText = notableDependencies.map(formatDependencyChange).join(', ');
   const shortSha = commit.sha.substring(0, 7);
   
   // Get file stats
@@ -116,8 +132,8 @@ export async function sendCommitNotification(repo, commit, priority) {
     platformName,
     repoName: repo.full_name,
     title: detailedMessage,
-    message: description,
-    contextMessage: `${timeStr} · ${typeInfo.label} · ${shortSha}`,
+    message: dependencyText ? truncate(`Dependencies: ${dependencyText}`, 100) : description,
+    contextMessage: `${timeStr} · ${typeLabel}${ownedFiles.length > 0 ? ' · touches your code' : ''} · ${branch} · ${shortSha}`,
     buttons: [
       { title: 'View Commit' },
       { title: 'Mark as Read' }
@@ -131,11 +147,28 @@ export async function sendCommitNotification(repo, commit, priority) {
     id: notificationId,
     type: 'commit',
     commitType,
+    conventional: conventional && {
+      type: conventional.type,
+      scope: conventional.scope,
+      breaking: conventional.breaking
+    },
     platform: repo.platform || 'github',
+    account: repo.accountId,
     repo: repo.full_name,
+    branch,
     author: authorName,
     message: title,
     priority,
+    // Keep history entries small: a commit can touch hundreds of critical files
+    reasons: reasons.map(reason => ({ ...reason, evidence: reason.evidence.slice(0, 5) })),
+    ownedFiles: ownedFiles.slice(0, 5).map(file => file.filename),
+    touchesYourCode: ownedFiles.length > 0,
+    dependencyChanges: notableDependencies.slice(0, 10).map(({ manifest, name, change, from, to, level }) =>
+      ({ manifest, name, change, from, to, level })
+    ),
+    verification,
+    bot: analysis.details.bot || null,
+    coAuthors: parseCoAuthors(fullMessage),
     sha: commit.sha,
     url: commit.html_url,
     filesChanged,
@@ -144,11 +177,279 @@ export async function sendCommitNotification(repo, commit, priority) {
   });
 }
 
+/**
+ * Send one Chrome notification for the bot commits of a branch (bot commits batched)
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} branch - Branch the commits landed on
+ * @param {Array} commits - Bot commits, oldest first
+ */
+export async function sendBotCommitsNotification(repo, branch, commits) {
+  const settings = await getSettings();
+  
+  if (!settings.notificationsEnabled) return;
+  
+  const typeInfo = getNotificationTypeInfo('bot');
+  const latest = commits[commits.length - 1];
+  const shortSha = latest.sha.substring(0, 7);
+  
+  // Keep a compact record of the commits (first line of message only)
+  const botCommits = commits.slice(-20).map(commit => ({
+    sha: commit.sha,
+    message: (commit.commit?.message || '').split('\n')[0],
+    author: detectBotAuthor(commit) || commit.commit?.author?.name || 'Unknown'
+  }));
+  const bots = [...new Set(botCommits.map(commit => commit.author))];
+  
+  const platform = repo.platform || 'github';
+  const notificationId = `${platform}-bots-${repo.full_name}@${branch}-${shortSha}`;
+  const timeStr = formatTime();
+  const platformName = platform === 'gitlab' ? 'GitLab' : 'GitHub';
+  
+  const title = `${commits.length} bot commit${commits.length === 1 ? '' : 's'} on ${branch}`;
+  
+  await createUnifiedNotification({
+    id: notificationId,
+    platformName,
+    repoName: repo.full_name,
+    title,
+    message: truncate(botCommits.map(commit => commit.message).join(', '), 100),
+    contextMessage: `${timeStr} · ${typeInfo.label} · ${bots.join(', ')}`,
+    buttons: [
+      { title: 'View Commit' },
+      { title: 'Mark as Read' }
+    ],
+    priority: 0,
+    silent: true
+  });
+  
+  await storeNotificationHistory({
+    id: notificationId,
+    type: 'bots',
+    platform,
+    account: repo.accountId,
+    repo: repo.full_name,
+    branch,
+    message: title,
+    priority: 'low',
+    bots,
+    sha: latest.sha,
+    url: latest.html_url,
+    commitCount: commits.length,
+    commits: botCommits
+  });
+}
+
+/**
+ * Send Chrome notification for a force-push that rewrote branch history
+ * Always high priority: commits that were already seen are gone from the branch
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} commit - New head commit
+ * @param {Object} rewrite - { previousSha, branch, droppedCommits }
+ */
+export async function sendHistoryRewriteNotification(repo, commit, rewrite) {
+  const settings = await getSettings();
+  
+  if (!settings.notificationsEnabled) return;
+  
+  const typeInfo = getNotificationTypeInfo('rewrite');
+  const previousShortSha = rewrite.previousSha.substring(0, 7);
+  const shortSha = commit.sha.substring(0, 7);
+  
+  // Keep a compact record of the dropped commits (first line of message only)
+  const droppedCommits = rewrite.droppedCommits.slice(0, 20).map(dropped => ({
+    sha: dropped.sha,
+    message: (dropped.commit?.message || '').split('\n')[0],
+    author: dropped.commit?.author?.name || dropped.author?.login || 'Unknown'
+  }));
+  const droppedCount = rewrite.droppedCommits.length;
+  
+  const branch = rewrite.branch || repo.default_branch;
+  const platform = repo.platform || 'github';
+  const notificationId = `${platform}-rewrite-${repo.full_name}@${branch}-${previousShortSha}-${shortSha}`;
+  const timeStr = formatTime();
+  const platformName = platform === 'gitlab' ? 'GitLab' : 'GitHub';
+  
+  const title = `History rewritten on ${branch}`;
+  const message = droppedCount > 0
+    ? `${droppedCount} commit${droppedCount === 1 ? '' : 's'} dropped: ${droppedCommits.map(c => c.message).join(', ').substring(0, 100)}`
+    : `${previousShortSha} is no longer on the branch`;
+  
+  await createUnifiedNotification({
+    id: notificationId,
+    platformName,
+    repoName: repo.full_name,
+    title,
+    message,
+    contextMessage: `${timeStr} · ${typeInfo.label} · ${previousShortSha} → ${shortSha}`,
+    buttons: [
+      { title: 'View Commit' },
+      { title: 'Mark as Read' }
+    ],
+    priority: 2,
+    requireInteraction: true
+  });
+  
+  await storeNotificationHistory({
+    id: notificationId,
+    type: 'rewrite',
+    platform,
+    account: repo.accountId,
+    repo: repo.full_name,
+    branch,
+    message: title,
+    priority: 'high',
+    previousSha: rewrite.previousSha,
+    sha: commit.sha,
+    url: commit.html_url,
+    droppedCount,
+    droppedCommits
+  });
+}
+
+/**
+ * Send Chrome notification for a commit that may contain a secret
+ * Always high priority; only the redacted excerpts are shown and stored
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} commit - Commit object
+ * @param {Array} findings - Redacted findings from scanCommitForSecrets
+ * @param {string} branch - Branch the commit landed on
+ */
+export async function sendSecretLeakNotification(repo, commit, findings, branch = repo.default_branch) {
+  const settings = await getSettings();
+  
+  if (!settings.notificationsEnabled) return;
+  
+  const typeInfo = getNotificationTypeInfo('secret');
+  const shortSha = commit.sha.substring(0, 7);
+  const authorName = commit.commit.author?.name || commit.author?.login || 'Unknown';
+  
+  const platform = repo.platform || 'github';
+  const notificationId = `${platform}-secret-${repo.full_name}-${shortSha}`;
+  const timeStr = formatTime();
+  const platformName = platform === 'gitlab' ? 'GitLab' : 'GitHub';
+  
+  const [first] = findings;
+  const title = `Possible secret committed: ${first.label}`;
+  const location = `${first.filename}${first.line ? `:${first.line}` : ''}`;
+  const more = findings.length > 1 ? ` (+${findings.length - 1} more)` : '';
+  
+  await createUnifiedNotification({
+    id: notificationId,
+    platformName,
+    repoName: repo.full_name,
+    title,
+    message: `${location}${more}\n${truncate(first.excerpt, 80)}`,
+    contextMessage: `${timeStr} · ${typeInfo.label} · ${authorName} · ${branch} · ${shortSha}`,
+    buttons: [
+      { title: 'View Commit' },
+      { title: 'Mark as Read' }
+    ],
+    priority: 2,
+    requireInteraction: true
+  });
+  
+  await storeNotificationHistory({
+    id: notificationId,
+    type: 'secret',
+    platform,
+    account: repo.accountId,
+    repo: repo.full_name,
+    branch,
+    author: authorName,
+    message: title,
+    priority: 'high',
+    sha: commit.sha,
+    url: commit.html_url,
+    findings: findings.map(({ filename, label, line, excerpt }) => ({ filename, label, line, excerpt }))
+  });
+}
+
+/**
+ * Send Chrome notification for an unsigned or unverified commit on a repository
+ * that requires signed commits (always high priority)
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} commit - Commit object
+ * @param {Object} verification - Result of getCommitVerification
+ * @param {string} branch - Branch the commit landed on
+ */
+export async function sendUnsignedCommitNotification(repo, commit, verification, branch = repo.default_branch) {
+  const settings = await getSettings();
+  
+  if (!settings.notificationsEnabled) return;
+  
+  const typeInfo = getNotificationTypeInfo('unsigned');
+  const shortSha = commit.sha.substring(0, 7);
+  const authorName = commit.commit.author?.name || commit.author?.login || 'Unknown';
+  const commitTitle = (commit.commit.message || '').split('\n')[0];
+  
+  const platform = repo.platform || 'github';
+  const notificationId = `${platform}-unsigned-${repo.full_name}-${shortSha}`;
+  const timeStr = formatTime();
+  const platformName = platform === 'gitlab' ? 'GitLab' : 'GitHub';
+  
+  const title = verification.status === 'unsigned'
+    ? `Unsigned commit on ${branch}`
+    : `Unverified signature on ${branch} (${verification.reason || 'unverified'})`;
+  
+  await createUnifiedNotification({
+    id: notificationId,
+    platformName,
+    repoName: repo.full_name,
+    title,
+    message: `${authorName}: ${truncate(commitTitle, 80)}`,
+    contextMessage: `${timeStr} · ${typeInfo.label} · ${shortSha}`,
+    buttons: [
+      { title: 'View Commit' },
+      { title: 'Mark as Read' }
+    ],
+    priority: 2,
+    requireInteraction: true
+  });
+  
+  await storeNotificationHistory({
+    id: notificationId,
+    type: 'unsigned',
+    platform,
+    account: repo.accountId,
+    repo: repo.full_name,
+    branch,
+    author: authorName,
+    message: title,
+    commitMessage: commitTitle,
+    priority: 'high',
+    sha: commit.sha,
+    url: commit.html_url,
+    verification
+  });
+}
+
+/**
+ * Notification priority per release kind (major releases stay on screen)
+ */
+const RELEASE_PRIORITIES = { major: 2, minor: 1, retag: 1, unversioned: 1, patch: 0, prerelease: 0, downgrade: 0 };
+
+// Release notes kept per history entry (the popup renders them)
+const MAX_RELEASE_NOTES_LENGTH = 10000;
+
+const RELEASE_KIND_LABELS = {
+  major: 'Major release',
+  minor: 'Minor release',
+  patch: 'Patch release',
+  prerelease: 'Pre-release',
+  downgrade: 'Downgrade',
+  retag: 'Retag'
+};
+
 /**
  * Send Chrome notification for a new release or tag (detailed)
+ * Downgrades and retags are sent as their own event types.
  * 
  * @param {Object} repo - Repository object
- * @param {Object} release - Release/tag object
+ * @param {Object} release - Release/tag object, with its classification from classifyRelease
  */
 export async function sendReleaseNotification(repo, release) {
   const settings = await getSettings();
@@ -162,20 +463,43 @@ export async function sendReleaseNotification(repo, release) {
   const notificationId = `${platform}-release-${repo.full_name}-${release.id}`;
   const tagName = release.tag_name || 'Unknown';
   const releaseName = release.name || tagName;
-  const isPrerelease = release.prerelease;
+  const isPrerelease = !!release.prerelease;
+  const isDraft = !!release.draft;
   const isTag = release.isTag;
+  const channelLabel = isDraft ? 'Draft' : (isPrerelease ? 'Pre-release' : 'Stable');
   const authorName = release.author?.login || 'Unknown';
+  const { kind = null, bump = null, previousVersion = null } = release.classification || {};
+  const type = kind === 'downgrade' || kind === 'retag' ? kind : (isTag ? 'tag' : 'release');
+  const priority = RELEASE_PRIORITIES[kind] ?? 1;
+  const notesSummary = getReleaseNotesSummary(release.body);
+  const { changelog = null } = release;
   
-  const typeInfo = getNotificationTypeInfo(isTag ? 'tag' : 'release');
+  // Tags without notes get the commit range instead: '12 commits by 3 authors since v1.4.2'
+  const summaryLine = notesSummary || (changelog
+    ? `${changelog.totalCommits} commit${changelog.totalCommits === 1 ? '' : 's'} by ${changelog.authorCount} author${changelog.authorCount === 1 ? '' : 's'} since ${changelog.fromTag}`
+    : null);
+  
+  // 'Major release: v2.0.0 (from v1.4.2)', 'Downgrade: v1.9.5 (latest v2.0.0)', 'Retag: v2.0.0'
+  let versionLine = `Version: ${tagName}`;
+  if (RELEASE_KIND_LABELS[kind]) {
+    versionLine = `${RELEASE_KIND_LABELS[kind]}: ${tagName}`;
+    if (previousVersion && kind === 'downgrade') {
+      versionLine += ` (latest ${previousVersion})`;
+    } else if (previousVersion && kind !== 'retag') {
+      versionLine += ` (from ${previousVersion}${kind === 'prerelease' && bump ? `, ${bump}` : ''})`;
+    }
+  }
+  
+  const typeInfo = getNotificationTypeInfo(type);
   const timeStr = formatTime();
   const platformName = platform === 'gitlab' ? 'GitLab' : 'GitHub';
   
   // Build detailed message
   let detailedMessage = `${releaseName}`;
-  if (isPrerelease) {
-    detailedMessage += ' (Pre-release)';
+  if (isDraft || isPrerelease) {
+    detailedMessage += ` (${channelLabel})`;
   }
-  detailedMessage += `\nVersion: ${tagName}`;
+  detailedMessage += `\n${versionLine}`;
   if (authorName !== 'Unknown') {
     detailedMessage += ` by ${authorName}`;
   }
@@ -188,14 +512,15 @@ export async function sendReleaseNotification(repo, release) {
       platformName,
       repoName: repo.full_name,
       title: releaseName,
-      message: (isPrerelease ? '(Pre-release)\n' : '') + `Version: ${tagName}` + (authorName !== 'Unknown' ? ` by ${authorName}` : ''),
-      contextMessage: `${timeStr} · ${isPrerelease ? 'Pre-release' : 'Stable'}`,
+      message: (isDraft || isPrerelease ? `(${channelLabel})\n` : '') + versionLine + (authorName !== 'Unknown' ? ` by ${authorName}` : '') +
+        (summaryLine ? `\n${summaryLine}` : ''),
+      contextMessage: `${timeStr} · ${channelLabel}`,
       buttons: [
         { title: `View ${isTag ? 'Tag' : 'Release'}` },
         { title: 'Dismiss' }
       ],
-      priority: 2,
-      requireInteraction: true
+      priority,
+      requireInteraction: priority === 2
     });
     console.log(`[Commit Watch] ✅ Notification created successfully: ${notificationId}`);
   } catch (error) {
@@ -205,24 +530,43 @@ export async function sendReleaseNotification(repo, release) {
   
   await storeNotificationHistory({
     id: notificationId,
-    type: isTag ? 'tag' : 'release',
+    type,
     platform: repo.platform || 'github',
+    account: repo.accountId,
     repo: repo.full_name,
     tagName,
     releaseName,
+    isTag: !!isTag,
     isPrerelease,
+    isDraft,
+    releaseKind: kind,
+    bump,
+    previousVersion,
+    notesSummary,
+    body: release.body ? release.body.slice(0, MAX_RELEASE_NOTES_LENGTH) : null,
+    changelog,
     author: authorName,
     url: release.html_url
   });
 }
 
 /**
- * Fetch and process GitHub notifications
+ * Fetch and process GitHub notifications of every connected GitHub account
  * Checks for PR reviews, mentions, CI failures
  */
 export async function checkGitHubNotifications() {
+  for (const account of await getAccounts('github')) {
+    await checkAccountNotifications(account);
+  }
+}
+
+/**
+ * Fetch and process the GitHub notifications of one account
+ * @param {Object} account - Connected GitHub account
+ */
+async function checkAccountNotifications(account) {
   try {
-    const response = await fetchGitHub('/notifications?all=false&per_page=50');
+    const response = await fetchGitHub('/notifications?all=false&per_page=50', { account });
     
     if (!response.ok) {
       throw new Error(`Failed to fetch notifications: ${response.status}`);
@@ -247,7 +591,7 @@ export async function checkGitHubNotifications() {
     
     // Send Chrome notifications for important items
     for (const notification of newNotifications.slice(0, 5)) {
-      await sendGitHubNotification(notification);
+      await sendGitHubNotification(notification, account);
       seenSet.add(notification.id);
     }
     
@@ -256,7 +600,7 @@ export async function checkGitHubNotifications() {
     await setStorage({ seenNotifications: updatedSeen });
     
   } catch (error) {
-    console.error('[Commit Watch] Error checking GitHub notifications:', error);
+    console.error(`[Commit Watch] Error checking GitHub notifications for ${account.id}:`, error);
   }
 }
 
@@ -264,12 +608,14 @@ export async function checkGitHubNotifications() {
  * Send Chrome notification for GitHub notification (detailed)
  * 
  * @param {Object} notification - GitHub notification object
+ * @param {Object} account - Account the notification was received through
  */
-export async function sendGitHubNotification(notification) {
+export async function sendGitHubNotification(notification, account) {
   const notificationId = `github-${notification.id}`;
   const typeInfo = getNotificationTypeInfo(notification.subject.type);
   const timeStr = formatTime();
   const reasonText = notification.reason.replace(/_/g, ' ');
+  const apiBase = getApiBase(account);
   
   // Build clean message
   let detailedMessage = `${notification.subject.title}`;
@@ -293,12 +639,13 @@ export async function sendGitHubNotification(notification) {
     id: notificationId,
     type: 'github',
     platform: 'github',
+    account: account.id,
     subType: notification.subject.type,
     reason: notification.reason,
     repo: notification.repository.full_name,
     title: notification.subject.title,
     url: notification.subject.url 
-      ? notification.subject.url.replace('api.github.com/repos', 'github.com') 
-      : `https://github.com/${notification.repository.full_name}`
+      ? notification.subject.url.replace(`${apiBase}/repos`, account.instanceUrl) 
+      : notification.repository.html_url
   });
 }
\ No newline at end of file
@@ -8,6 +8,9 @@ import { isAuthenticated } from './auth.js';
 import { checkAllRepositoriesForCommits } from './commit-monitoring.js';
 import { checkAllRepositoriesForReleases } from './release-monitoring.js';
 import { checkGitHubNotifications } from './notifications.js';
+import { getActiveRepositories, saveEventCursors } from './event-feed.js';
+import { getDueRepositories } from './scheduler.js';
+import { getRepositories } from './repositories.js';
 
 /**
  * Start the polling alarm
@@ -32,6 +35,43 @@ export async function stopPolling() {
   console.log('[Commit Watch] Polling stopped');
 }
 
+/**
+ * Run one polling cycle
+ * In 'events' mode only repositories with push/tag/release activity in the
+ * platform event feeds are checked; any gap in a feed triggers a full scan.
+ * Otherwise only repositories whose adaptive schedule is due are checked.
+ * Watch-only repositories are not in the account feeds and always follow the schedule.
+ * Feed positions only advance when both checks succeed, so a failed repository is
+ * checked again next cycle instead of waiting for new activity.
+ */
+export async function runPollingCycle() {
+  const settings = await getSettings();
+  const repos = await getRepositories();
+  let options = {};
+  let activity = null;
+  
+  if (settings.pollingMode === 'events') {
+    activity = await getActiveRepositories(repos);
+    
+    if (!activity.fullScan) {
+      console.log(`[Commit Watch] Event feed: ${activity.repoKeys.size} repositories with activity`);
+      const dueWatchedKeys = await getDueRepositories(repos.filter(repo => repo.watchOnly), settings);
+      options = { repoKeys: new Set([...activity.repoKeys, ...dueWatchedKeys]) };
+    }
+  } else {
+    const dueRepoKeys = await getDueRepositories(repos, settings);
+    console.log(`[Commit Watch] Schedule: ${dueRepoKeys.size} of ${repos.length} repositories due`);
+    options = { repoKeys: dueRepoKeys };
+  }
+  
+  const commitsChecked = await checkAllRepositoriesForCommits(options);
+  const releasesChecked = await checkAllRepositoriesForReleases(options);
+  if (activity && commitsChecked && releasesChecked) {
+    await saveEventCursors(activity.cursors);
+  }
+  await checkGitHubNotifications();
+}
+
 /**
  * Handle alarm events
  */
@@ -40,9 +80,7 @@ export function setupAlarmHandler() {
     if (alarm.name === ALARM_NAME) {
       // Check if still authenticated
       if (await isAuthenticated()) {
-        await checkAllRepositoriesForCommits();
-        await checkAllRepositoriesForReleases();
-        await checkGitHubNotifications();
+        await runPollingCycle();
       } else {
         console.log('[Commit Watch] Not authenticated, stopping polling');
         await stopPolling();
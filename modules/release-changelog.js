@@ -0,0 +1,166 @@
+/**
+ * Commit Watch - Release Changelog
+ * 
+ * Builds a compact changelog for a new tag from the commits since the
+ * previous tracked tag, using the platform compare API:
+ * - GitHub: /repos/:owner/:repo/compare/:from...:to
+ * - GitLab: /projects/:id/repository/compare?from=:from&to=:to
+ * 
+ * Commits are grouped by analyzeCommitType. Compare results carry no files
+ * per commit, so Conventional Commit types fill in the file categories.
+ */
+
+import { fetchGitHub } from './github-api.js';
+import { fetchGitLab } from './gitlab-api.js';
+import { analyzeCommitType } from './commit-analysis.js';
+import { getClassificationRules } from './classification-rules.js';
+import { truncate, getNotificationTypeInfo } from './utils.js';
+
+// Kept per changelog (it is stored in the notification history)
+const MAX_CHANGELOG_AUTHORS = 10;
+const MAX_SUBJECTS_PER_GROUP = 15;
+
+// Conventional Commit types that name one of the file categories
+const CONVENTIONAL_CATEGORIES = {
+  docs: 'docs',
+  test: 'tests',
+  tests: 'tests',
+  ci: 'ci',
+  build: 'config',
+  i18n: 'localization',
+  l10n: 'localization'
+};
+
+/**
+ * Fetch the commits between two tags of a GitHub repository
+ * @param {Object} repo - Repository object
+ * @param {string} fromTag - Previous tag
+ * @param {string} toTag - New tag
+ * @returns {Promise<Object>} { commits, totalCommits } - commits oldest first (at most 250)
+ */
+async function fetchGitHubTagRange(repo, fromTag, toTag) {
+  const response = await fetchGitHub(
+    `/repos/${repo.full_name}/compare/${encodeURIComponent(fromTag)}...${encodeURIComponent(toTag)}`,
+    { account: repo.accountId }
+  );
+  
+  if (!response.ok) {
+    throw new Error(`Failed to compare tags: ${response.status}`);
+  }
+  
+  const comparison = await response.json();
+  const commits = comparison.commits || [];
+  return { commits, totalCommits: comparison.total_commits ?? commits.length };
+}
+
+/**
+ * Fetch the commits between two tags of a GitLab project
+ * @param {Object} repo - Repository/project object
+ * @param {string} fromTag - Previous tag
+ * @param {string} toTag - New tag
+ * @returns {Promise<Object>} { commits, totalCommits } - commits oldest first, normalized to GitHub format
+ */
+async function fetchGitLabTagRange(repo, fromTag, toTag) {
+  const projectId = encodeURIComponent(repo.full_name);
+  const response = await fetchGitLab(
+    `/projects/${projectId}/repository/compare?from=${encodeURIComponent(fromTag)}&to=${encodeURIComponent(toTag)}`,
+    { account: repo.accountId }
+  );
+  
+  if (!response.ok) {
+    throw new Error(`Failed to compare GitLab tags: ${response.status}`);
+  }
+  
+  const comparison = await response.json();
+  const commits = (comparison.commits || []).map(commit => ({
+    sha: commit.id,
+    commit: {
+      message: commit.message,
+      author: { name: commit.author_name, email: commit.author_email }
+    },
+    author: { login: null },
+    parents: commit.parent_ids?.map(id => ({ sha: id })) || []
+  }));
+  return { commits, totalCommits: commits.length };
+}
+
+/**
+ * Get the changelog category of a commit
+ * @param {Object} commit - Commit (GitHub format, without files)
+ * @param {Array} rules - Classification rules
+ * @param {Object} repo - Repository object
+ * @returns {string} Commit type ('code', 'docs', 'merge', 'bot', ...)
+ */
+function getChangelogCategory(commit, rules, repo) {
+  const { type, conventional } = analyzeCommitType(commit, rules, repo);
+  if (type !== 'code') return type;
+  return CONVENTIONAL_CATEGORIES[conventional?.type] || type;
+}
+
+/**
+ * Build a compact changelog from the commits of a tag range
+ * 
+ * @param {Array} commits - Commits oldest first (GitHub format)
+ * @param {Object} options - Changelog options
+ * @param {number} options.totalCommits - Commits in the range (compare lists can be cut short)
+ * @param {Array} options.rules - Classification rules
+ * @param {Object} options.repo - Repository object
+ * @returns {Object} { totalCommits, authorCount, authors: [{ name, commits }], groups: [{ type,
+ *   label, emoji, count, subjects }] } - authors and groups by commit count, subjects newest first
+ */
+export function buildChangelog(commits, { totalCommits = commits.length, rules, repo = null } = {}) {
+  const authors = new Map();
+  const groups = new Map();
+  
+  for (const commit of [...commits].reverse()) {
+    const author = commit.author?.login || commit.commit?.author?.name || 'Unknown';
+    authors.set(author, (authors.get(author) || 0) + 1);
+    
+    const type = getChangelogCategory(commit, rules, repo);
+    if (!groups.has(type)) {
+      const { emoji, label } = getNotificationTypeInfo(type);
+      groups.set(type, { type, label, emoji, count: 0, subjects: [] });
+    }
+    const group = groups.get(type);
+    group.count++;
+    if (group.subjects.length < MAX_SUBJECTS_PER_GROUP) {
+      group.subjects.push(truncate((commit.commit?.message || '').split('\n')[0].trim(), 100));
+    }
+  }
+  
+  return {
+    totalCommits,
+    authors: [...authors.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_CHANGELOG_AUTHORS)
+      .map(([name, count]) => ({ name, commits: count })),
+    authorCount: authors.size,
+    groups: [...groups.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Get the changelog of a new tag since the previous tracked tag
+ * 
+ * @param {Object} repo - Repository object
+ * @param {string} fromTag - Previous tracked tag
+ * @param {string} toTag - New tag
+ * @param {Object} settings - User settings (classification rules)
+ * @returns {Promise<Object|null>} { fromTag, toTag, ...buildChangelog } or null when it cannot be read
+ */
+export async function getReleaseChangelog(repo, fromTag, toTag, settings) {
+  try {
+    const { commits, totalCommits } = repo.platform === 'gitlab'
+      ? await fetchGitLabTagRange(repo, fromTag, toTag)
+      : await fetchGitHubTagRange(repo, fromTag, toTag);
+    
+    return {
+      fromTag,
+      toTag,
+      ...buildChangelog(commits, { totalCommits, rules: getClassificationRules(settings), repo })
+    };
+  } catch (error) {
+    console.error(`[Commit Watch] Error building changelog ${fromTag}...${toTag} for ${repo.full_name}:`, error);
+    return null;
+  }
+}
\ No newline at end of file
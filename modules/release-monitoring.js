@@ -1,5 +1,13 @@
 /**
  * Commit Watch - Release Monitoring
+ * 
+ * Stable releases, pre-releases and drafts are tracked as separate channels
+ * (lastReleases: { [repoKey]: { stable, prerelease, draft, publishedAt, ... } }); each
+ * repository notifies on its chosen channels (settings.releaseChannels) and
+ * release levels (settings.releaseThresholds, see release-versions.js).
+ * Release and tag lists are paged back to the last known release, so every
+ * release published between two checks is reported. Notified releases get a
+ * changelog of the commits since the previous tracked tag (release-changelog.js).
  */
 
 import { fetchGitHub } from './github-api.js';
@@ -9,19 +17,86 @@ import { getSettings } from './settings.js';
 import { incrementUnreadCount } from './badge.js';
 import { sendReleaseNotification } from './notifications.js';
 import { getRepositories } from './repositories.js';
+import { clearValidators, saveValidators, discardRepoValidators } from './conditional-requests.js';
+import { getGitHubRepositorySnapshots } from './github-graphql.js';
+import { recordRepoActivity } from './scheduler.js';
+import { getRepoKey, isPrereleaseVersion } from './utils.js';
+import { RELEASE_LEVELS, getHighestVersion, getPreviousTag, classifyRelease, meetsReleaseThreshold } from './release-versions.js';
+import { getReleaseChangelog } from './release-changelog.js';
+import { RELEASE_CHANNELS, DEFAULT_RELEASE_CHANNELS, MAX_RELEASES_PER_CHECK } from './constants.js';
+
+// Releases and tags read per page (newest first)
+const RELEASES_PER_PAGE = 30;
+
+// Pages read per check while looking for the last known release
+const MAX_RELEASE_PAGES = 3;
+
+// Tags remembered per repository to recognize retags
+const MAX_TRACKED_TAGS = 50;
+
+/**
+ * Get the channel of a release
+ * @param {Object} release - Release/tag object
+ * @returns {string} 'draft', 'prerelease' or 'stable'
+ */
+export function getReleaseChannel(release) {
+  if (release.draft) return 'draft';
+  return release.prerelease ? 'prerelease' : 'stable';
+}
+
+/**
+ * Get the release channels to notify on for a repository
+ * @param {Object} repo - Repository object
+ * @param {Object} settings - User settings
+ * @returns {Array<string>} e.g. ['stable', 'prerelease']
+ */
+export function getNotifiedReleaseChannels(repo, settings) {
+  return settings.releaseChannels?.[getRepoKey(repo)] || DEFAULT_RELEASE_CHANNELS;
+}
+
+/**
+ * Get the lowest release level to notify on for a repository
+ * @param {Object} repo - Repository object
+ * @param {Object} settings - User settings
+ * @returns {string} 'all', 'patch', 'minor' or 'major'
+ */
+export function getReleaseThreshold(repo, settings) {
+  return settings.releaseThresholds?.[getRepoKey(repo)] || 'all';
+}
+
+/**
+ * Get the time a release became visible (drafts: when they were created)
+ * @param {Object} release - Release/tag object
+ * @returns {number|null} Milliseconds, or null when the platform does not tell (GitHub tags)
+ */
+export function getReleaseTimestamp(release) {
+  const time = Date.parse(release.published_at || release.created_at || '');
+  return Number.isNaN(time) ? null : time;
+}
 
 /**
- * Fetch the latest release for a GitHub repository
+ * Fetch one page of releases of a GitHub repository
+ * `/releases/latest` skips pre-releases and drafts, so the list is read instead
+ * (drafts are only listed for accounts with push access).
  * 
  * @param {Object} repo - Repository object
- * @returns {Promise<Object|null>} Latest release or null
+ * @param {boolean} conditional - Send a conditional request (release IDs are already known)
+ * @param {number} page - Page number
+ * @returns {Promise<Array|Object|null>} Releases (newest first), { unchanged: true }, { failed: true }
+ *   when they could not be read, or null when there are none
  */
-export async function fetchLatestGitHubRelease(repo) {
+export async function fetchGitHubReleases(repo, conditional = false, page = 1) {
   try {
     const response = await fetchGitHub(
-      `/repos/${repo.full_name}/releases/latest`
+      `/repos/${repo.full_name}/releases?per_page=${RELEASES_PER_PAGE}&page=${page}`,
+      { conditional, account: repo.accountId }
     );
     
+    // 304: nothing changed since the last check
+    if (response.status === 304) {
+      return { unchanged: true };
+    }
+    
     if (!response.ok) {
       // 404 means no releases exist
       if (response.status === 404) {
@@ -30,26 +105,35 @@ export async function fetchLatestGitHubRelease(repo) {
       throw new Error(`Failed to fetch releases: ${response.status}`);
     }
     
-    return await response.json();
+    const releases = await response.json();
+    return releases?.length > 0 ? releases : null;
   } catch (error) {
     console.error(`Error fetching GitHub releases for ${repo.full_name}:`, error);
-    return null;
+    return { failed: true };
   }
 }
 
 /**
- * Fetch the latest tag for a GitHub repository
+ * Fetch one page of tags of a GitHub repository
  * Fallback when no formal releases exist
  * 
  * @param {Object} repo - Repository object
- * @returns {Promise<Object|null>} Latest tag or null
+ * @param {boolean} conditional - Send a conditional request (release IDs are already known)
+ * @param {number} page - Page number
+ * @returns {Promise<Array|Object|null>} Tags in release format, { unchanged: true }, { failed: true } or null
  */
-export async function fetchLatestGitHubTag(repo) {
+export async function fetchGitHubTags(repo, conditional = false, page = 1) {
   try {
     const response = await fetchGitHub(
-      `/repos/${repo.full_name}/tags?per_page=1`
+      `/repos/${repo.full_name}/tags?per_page=${RELEASES_PER_PAGE}&page=${page}`,
+      { conditional, account: repo.accountId }
     );
     
+    // 304: nothing changed since the last check
+    if (response.status === 304) {
+      return { unchanged: true };
+    }
+    
     if (!response.ok) {
       if (response.status === 404) {
         return null;
@@ -62,35 +146,46 @@ export async function fetchLatestGitHubTag(repo) {
       return null;
     }
     
-    // Convert tag to release-like format for consistency
-    const tag = tags[0];
-    return {
+    // Convert tags to release-like format for consistency (GitHub tags carry no date)
+    return tags.map(tag => ({
       id: tag.commit.sha,
+      sha: tag.commit.sha,
       tag_name: tag.name,
       name: tag.name,
-      html_url: `https://github.com/${repo.full_name}/releases/tag/${tag.name}`,
-      prerelease: false,
+      html_url: `${repo.html_url}/releases/tag/${tag.name}`,
+      prerelease: isPrereleaseVersion(tag.name),
       isTag: true
-    };
+    }));
   } catch (error) {
     console.error(`Error fetching GitHub tags for ${repo.full_name}:`, error);
-    return null;
+    return { failed: true };
   }
 }
 
 /**
- * Fetch the latest release for a GitLab project
+ * Fetch one page of releases of a GitLab project
+ * GitLab has no pre-release flag: upcoming releases (released_at in the
+ * future) and semver pre-release tags count as pre-releases.
  * 
  * @param {Object} repo - Repository/project object
- * @returns {Promise<Object|null>} Latest release (normalized) or null
+ * @param {boolean} conditional - Send a conditional request (release IDs are already known)
+ * @param {number} page - Page number
+ * @returns {Promise<Array|Object|null>} Releases (normalized, newest first), { unchanged: true },
+ *   { failed: true } when they could not be read, or null when there are none
  */
-export async function fetchLatestGitLabRelease(repo) {
+export async function fetchGitLabReleases(repo, conditional = false, page = 1) {
   try {
     const projectId = encodeURIComponent(repo.full_name);
     const response = await fetchGitLab(
-      `/projects/${projectId}/releases?per_page=1`
+      `/projects/${projectId}/releases?order_by=created_at&per_page=${RELEASES_PER_PAGE}&page=${page}`,
+      { conditional, account: repo.accountId }
     );
     
+    // 304: nothing changed since the last check
+    if (response.status === 304) {
+      return { unchanged: true };
+    }
+    
     if (!response.ok) {
       if (response.status === 404) {
         return null;
@@ -103,37 +198,49 @@ export async function fetchLatestGitLabRelease(repo) {
       return null;
     }
     
-    // Normalize GitLab release to match GitHub format
-    const release = releases[0];
-    return {
+    // Normalize GitLab releases to match GitHub format
+    // (released_at can be back- or future-dated, so creation counts as publication)
+    return releases.map(release => ({
       id: release.tag_name, // GitLab doesn't have numeric IDs for releases
       tag_name: release.tag_name,
       name: release.name || release.tag_name,
-      html_url: release._links?.self || `https://gitlab.com/${repo.full_name}/-/releases/${release.tag_name}`,
-      prerelease: false, // GitLab doesn't have prerelease concept
+      html_url: release._links?.self || `${repo.html_url}/-/releases/${release.tag_name}`,
+      prerelease: !!release.upcoming_release || isPrereleaseVersion(release.tag_name),
+      draft: false, // GitLab releases are published when created
       author: release.author ? { login: release.author.username } : null,
-      created_at: release.released_at
-    };
+      body: release.description || '',
+      sha: release.commit?.id || null,
+      published_at: release.created_at || release.released_at,
+      released_at: release.released_at
+    }));
   } catch (error) {
     console.error(`Error fetching GitLab releases for ${repo.full_name}:`, error);
-    return null;
+    return { failed: true };
   }
 }
 
 /**
- * Fetch the latest tag for a GitLab project
+ * Fetch one page of tags of a GitLab project
  * Fallback when no formal releases exist
  * 
  * @param {Object} repo - Repository/project object
- * @returns {Promise<Object|null>} Latest tag (normalized) or null
+ * @param {boolean} conditional - Send a conditional request (release IDs are already known)
+ * @param {number} page - Page number
+ * @returns {Promise<Array|Object|null>} Tags in release format, { unchanged: true }, { failed: true } or null
  */
-export async function fetchLatestGitLabTag(repo) {
+export async function fetchGitLabTags(repo, conditional = false, page = 1) {
   try {
     const projectId = encodeURIComponent(repo.full_name);
     const response = await fetchGitLab(
-      `/projects/${projectId}/repository/tags?per_page=1`
+      `/projects/${projectId}/repository/tags?per_page=${RELEASES_PER_PAGE}&page=${page}`,
+      { conditional, account: repo.accountId }
     );
     
+    // 304: nothing changed since the last check
+    if (response.status === 304) {
+      return { unchanged: true };
+    }
+    
     if (!response.ok) {
       if (response.status === 404) {
         return null;
@@ -146,103 +253,297 @@ export async function fetchLatestGitLabTag(repo) {
       return null;
     }
     
-    // Convert tag to release-like format for consistency
-    const tag = tags[0];
-    return {
+    // Convert tags to release-like format (only annotated tags have a creation date)
+    return tags.map(tag => ({
       id: tag.commit.id,
+      sha: tag.commit.id,
       tag_name: tag.name,
       name: tag.name,
-      html_url: `https://gitlab.com/${repo.full_name}/-/tags/${tag.name}`,
-      prerelease: false,
+      html_url: `${repo.html_url}/-/tags/${tag.name}`,
+      prerelease: isPrereleaseVersion(tag.name),
+      published_at: tag.created_at || null,
       isTag: true
-    };
+    }));
   } catch (error) {
     console.error(`Error fetching GitLab tags for ${repo.full_name}:`, error);
-    return null;
+    return { failed: true };
   }
 }
 
 /**
- * Fetch the latest release for a repository (routes to platform-specific function)
+ * Fetch one page of releases of a repository (routes to platform-specific function)
  * 
  * @param {Object} repo - Repository object
- * @returns {Promise<Object|null>} Latest release or null
+ * @param {boolean} conditional - Send a conditional request (release IDs are already known)
+ * @param {number} page - Page number
+ * @returns {Promise<Array|Object|null>} Releases (newest first), { unchanged: true }, { failed: true } or null
  */
-export async function fetchLatestRelease(repo) {
+export async function fetchReleases(repo, conditional = false, page = 1) {
   if (repo.platform === 'gitlab') {
-    return fetchLatestGitLabRelease(repo);
+    return fetchGitLabReleases(repo, conditional, page);
   }
-  return fetchLatestGitHubRelease(repo);
+  return fetchGitHubReleases(repo, conditional, page);
 }
 
 /**
- * Fetch the latest tag for a repository (routes to platform-specific function)
+ * Fetch one page of tags of a repository (routes to platform-specific function)
  * 
  * @param {Object} repo - Repository object
- * @returns {Promise<Object|null>} Latest tag or null
+ * @param {boolean} conditional - Send a conditional request (release IDs are already known)
+ * @param {number} page - Page number
+ * @returns {Promise<Array|Object|null>} Tags (newest first), { unchanged: true }, { failed: true } or null
  */
-export async function fetchLatestTag(repo) {
+export async function fetchTags(repo, conditional = false, page = 1) {
   if (repo.platform === 'gitlab') {
-    return fetchLatestGitLabTag(repo);
+    return fetchGitLabTags(repo, conditional, page);
+  }
+  return fetchGitHubTags(repo, conditional, page);
+}
+
+/**
+ * Fetch the commits the tags of a GitHub repository point to (first page of tags)
+ * GitHub release lists don't tell, and moving a tag leaves them unchanged.
+ * 
+ * @param {Object} repo - Repository object
+ * @param {boolean} conditional - Send a conditional request (tags are already known)
+ * @returns {Promise<Object|null>} { [tagName]: commit SHA }, { unchanged: true }, { failed: true } or null
+ */
+async function fetchGitHubTagCommits(repo, conditional) {
+  const tags = await fetchGitHubTags(repo, conditional, 1);
+  if (!tags || tags.unchanged || tags.failed) return tags;
+  return Object.fromEntries(tags.map(tag => [tag.tag_name, tag.sha]));
+}
+
+/**
+ * Read release or tag pages until the last known release shows up
+ * Only the first page is conditional: a 304 there means nothing changed.
+ * A page that could not be read fails the whole list (a partial list would
+ * overwrite the known releases).
+ * 
+ * @param {Function} fetchPage - (conditional, page) => page of releases
+ * @param {Function} isKnown - Tells if a release was seen by an earlier check
+ * @param {boolean} conditional - Send a conditional request for the first page
+ * @param {number} maxPages - Pages to read at most
+ * @returns {Promise<Array|Object|null>} Releases (newest first), { unchanged: true }, { failed: true } or null
+ */
+async function fetchPagesUntilKnown(fetchPage, isKnown, conditional, maxPages) {
+  const releases = [];
+  
+  for (let page = 1; page <= maxPages; page++) {
+    const batch = await fetchPage(conditional && page === 1, page);
+    if (batch?.failed) {
+      return batch;
+    }
+    if (!batch || batch.unchanged) {
+      return page === 1 ? batch : releases;
+    }
+    
+    releases.push(...batch);
+    if (batch.length < RELEASES_PER_PAGE || batch.some(isKnown)) break;
   }
-  return fetchLatestGitHubTag(repo);
+  
+  return releases;
+}
+
+/**
+ * Get what earlier checks saw of a repository's releases
+ * IDs stored before release channels existed (one ID per repository) are
+ * dropped, so the channels are re-seeded without notifying.
+ * 
+ * @param {Object|string|number|undefined} stored - Entry of lastReleases
+ * @returns {Object} { stable, prerelease, draft, publishedAt, highestVersion, tagCommits } - last
+ *   known ID per channel (null = checked, no release in that channel), the newest release
+ *   time seen, the highest stable version and the commits of the most recent tags
+ *   (null when unknown; entries stored before commits were tracked only name their tags)
+ */
+function getKnownReleases(stored) {
+  if (!stored || typeof stored !== 'object') return {};
+  if (stored.tagCommits || !stored.tags) return stored;
+  
+  const { tags, ...known } = stored;
+  return { ...known, tagCommits: Object.fromEntries(Object.keys(tags).map(tagName => [tagName, null])) };
 }
 
 /**
  * Check a single repository for new releases or tags
+ * Every release published since the last check is reported, oldest first.
+ * Releases with a publish time are new when published after the newest one
+ * seen before; the others (GitHub tags) when their tag was not seen before.
+ * Each release is classified against the highest stable version before it
+ * (release.classification); notified ones get the changelog since the previous
+ * tracked tag (release.changelog). Stable releases, pre-releases and drafts are
+ * tracked as separate channels; only the repository's notified channels and
+ * levels are reported.
  * 
  * @param {Object} repo - Repository to check
- * @param {Object} lastReleases - Object containing last known release IDs
+ * @param {Object} lastReleases - Object containing what earlier checks saw per repository
  * @param {Object} settings - User settings
- * @returns {Promise<Object|null>} New release/tag info or null
+ * @param {Object} snapshot - GraphQL snapshot of the repository, if the GraphQL backend is used
+ * @returns {Promise<Object|null>} { repo, repoKey, releaseState, newReleases }, { failed: true }
+ *   when the releases could not be read, or null when nothing changed
  */
-export async function checkRepoForNewReleases(repo, lastReleases, settings) {
-  // Use platform-specific key for repo settings
-  const repoKey = `${repo.platform || 'github'}:${repo.full_name}`;
+export async function checkRepoForNewReleases(repo, lastReleases, settings, snapshot = null) {
+  // Use account-specific key for repo settings
+  const repoKey = getRepoKey(repo);
   
   // Skip if repo is disabled in settings (check both old and new key formats)
   if (settings.enabledRepos[repoKey] === false || settings.enabledRepos[repo.full_name] === false) {
     return null;
   }
   
-  // Try to fetch formal release first
-  let latestRelease = await fetchLatestRelease(repo);
+  // Use account-specific key for last releases
+  const known = getKnownReleases(lastReleases[repoKey] || lastReleases[repo.full_name]);
+  const isFirstCheck = Object.keys(known).length === 0;
+  const knownTags = known.tagCommits || {};
+  const knownIds = new Set([
+    ...RELEASE_CHANNELS.filter(channel => known[channel] != null).map(channel => String(known[channel])),
+    ...Object.values(knownTags).filter(Boolean)
+  ]);
+  const knownTime = known.publishedAt ? Date.parse(known.publishedAt) : null;
+  
+  // Seen before: one of the last known IDs, or not newer than the newest release seen
+  const isKnown = release => {
+    const timestamp = getReleaseTimestamp(release);
+    return knownIds.has(String(release.id)) || (knownTime !== null && timestamp !== null && timestamp <= knownTime);
+  };
+  
+  // The first check only records the current state
+  const maxPages = isFirstCheck ? 1 : MAX_RELEASE_PAGES;
+  
+  // GraphQL backend already fetched the recent releases and the latest tag;
+  // REST pages further back when none of them is known yet
+  let releases = snapshot && (snapshot.releases.length > 0 ? snapshot.releases : [snapshot.tag].filter(Boolean));
+  if (!releases || (!isFirstCheck && releases.length > 0 && !releases.some(isKnown))) {
+    // Try to fetch formal releases first
+    const fetchReleasePage = (conditional, page) => fetchReleases(repo, conditional, page);
+    releases = await fetchPagesUntilKnown(fetchReleasePage, isKnown, !isFirstCheck, maxPages);
+    
+    // GitHub release lists don't tell which commit a tag points to: the tags do.
+    // A moved tag leaves the release list unchanged, so it is read again then
+    if (releases && !releases.failed && repo.platform !== 'gitlab') {
+      const tagCommits = await fetchGitHubTagCommits(repo, !isFirstCheck);
+      if (tagCommits?.failed) {
+        releases = tagCommits;
+      } else if (tagCommits && !tagCommits.unchanged) {
+        if (releases.unchanged) {
+          releases = await fetchPagesUntilKnown(fetchReleasePage, isKnown, false, maxPages) || releases;
+        }
+        if (Array.isArray(releases)) {
+          for (const release of releases) {
+            release.sha = tagCommits[release.tag_name] || null;
+          }
+        }
+      }
+    }
+    
+    // If no formal release, try the tags
+    if (!releases) {
+      releases = await fetchPagesUntilKnown((conditional, page) => fetchTags(repo, conditional, page), isKnown, !isFirstCheck, maxPages) || [];
+    }
+  }
   
-  // If no formal release, try to fetch latest tag
-  if (!latestRelease) {
-    latestRelease = await fetchLatestTag(repo);
+  // Releases could not be read - the known state is kept and the repository retried next cycle
+  if (releases.failed) {
+    discardRepoValidators(repo);
+    return { repo, repoKey, failed: true };
   }
   
-  if (!latestRelease) {
+  // Skip if nothing changed (304)
+  if (releases.unchanged) {
     return null;
   }
   
-  // Use platform-specific key for last releases
-  const lastKnownId = lastReleases[repoKey] || lastReleases[repo.full_name];
+  // Releases published after the newest one seen; without a publish time, the ones
+  // not seen before (list position says nothing: a back-ported tag sorts below the newest).
+  // A known tag pointing to another commit is new as well (retag)
+  const isNew = release => {
+    const knownCommit = knownTags[release.tag_name];
+    if (!release.draft && knownCommit && release.sha && knownCommit !== release.sha) return true;
+    const timestamp = getReleaseTimestamp(release);
+    if (knownTime !== null && timestamp !== null) return timestamp > knownTime;
+    return Object.keys(knownTags).length > 0
+      ? !Object.hasOwn(knownTags, release.tag_name)
+      : !knownIds.has(String(release.id));
+  };
+  const detected = isFirstCheck ? [] : releases.filter(isNew).reverse();
+  
+  // Oldest first (by publish time when all have one, else list order)
+  if (detected.every(release => getReleaseTimestamp(release) !== null)) {
+    detected.sort((a, b) => getReleaseTimestamp(a) - getReleaseTimestamp(b));
+  }
+  
+  // Classify against the highest stable version before each release
+  // (entries stored before versions were tracked start from the releases already seen)
+  const tags = { ...knownTags };
+  let highestVersion = known.highestVersion !== undefined
+    ? known.highestVersion
+    : getHighestVersion(releases.filter(release => !detected.includes(release)));
+  for (const release of detected) {
+    release.classification = classifyRelease(release, highestVersion, tags);
+    if (release.draft) continue;
+    
+    release.previousTag = getPreviousTag(release, tags);
+    tags[release.tag_name] = release.sha || tags[release.tag_name] || null;
+    if (RELEASE_LEVELS.includes(release.classification.kind)) {
+      highestVersion = release.tag_name;
+    }
+  }
+  
+  // Newest release of each channel (lists are ordered newest first)
+  const latest = {};
+  for (const release of releases) {
+    const channel = getReleaseChannel(release);
+    latest[channel] = latest[channel] || release;
+  }
+  const timestamps = releases.map(getReleaseTimestamp).filter(timestamp => timestamp !== null);
+  const newestTime = Math.max(knownTime || 0, ...timestamps);
+  // Listed tags go last, so the most recent ones are kept (commit unknown: the one seen before)
+  const listedTags = new Map(releases.filter(release => !release.draft).reverse()
+    .map(release => [release.tag_name, release.sha || tags[release.tag_name] || null]));
+  const releaseState = {
+    ...Object.fromEntries(RELEASE_CHANNELS.map(channel => [channel, latest[channel]?.id ?? null])),
+    publishedAt: newestTime > 0 ? new Date(newestTime).toISOString() : null,
+    highestVersion: isFirstCheck ? getHighestVersion(releases) : highestVersion,
+    tagCommits: Object.fromEntries([
+      ...Object.entries(tags).filter(([tagName]) => !listedTags.has(tagName)),
+      ...listedTags
+    ].slice(-MAX_TRACKED_TAGS))
+  };
   
-  // If this is the first check, just store the ID (don't notify to avoid spam)
-  if (!lastKnownId) {
-    return { repo, release: latestRelease, isNew: false, repoKey };
+  // If this is the first check, just store the state (don't notify to avoid spam)
+  if (isFirstCheck) {
+    return { repo, repoKey, releaseState, newReleases: [] };
   }
   
-  // Check if there's a new release/tag
-  if (String(latestRelease.id) !== String(lastKnownId)) {
-    console.log(`[Commit Watch] ${repo.full_name}: NEW RELEASE DETECTED! ${lastKnownId} -> ${latestRelease.id}`);
-    return {
-      repo,
-      release: latestRelease,
-      isNew: true,
-      repoKey
-    };
+  // Only the notified channels and levels; the newest ones are kept when there are too many
+  const notifiedChannels = getNotifiedReleaseChannels(repo, settings);
+  const threshold = getReleaseThreshold(repo, settings);
+  const newReleases = detected
+    .filter(release => notifiedChannels.includes(getReleaseChannel(release)))
+    .filter(release => meetsReleaseThreshold(release.classification, threshold))
+    .slice(-MAX_RELEASES_PER_CHECK);
+  
+  for (const release of newReleases) {
+    const channel = getReleaseChannel(release);
+    console.log(`[Commit Watch] ${repo.full_name}: NEW RELEASE DETECTED (${channel}, ${release.classification.kind})! ${release.tag_name} (${release.id})`);
+    
+    // Commits since the previous tracked tag (drafts may have no tag yet)
+    if (release.previousTag) {
+      release.changelog = await getReleaseChangelog(repo, release.previousTag, release.tag_name, settings);
+    }
   }
   
-  return null;
+  return { repo, repoKey, releaseState, newReleases };
 }
 
 /**
  * Check all repositories for new releases
+ * 
+ * @param {Object} options - Check options
+ * @param {Set<string>} options.repoKeys - Only check these repositories (event feed / schedule)
+ * @returns {Promise<boolean>} False when the check or one of its repositories failed
  */
-export async function checkAllRepositoriesForReleases() {
+export async function checkAllRepositoriesForReleases({ repoKeys = null } = {}) {
   console.log('[Commit Watch] Starting release check...');
   
   try {
@@ -252,18 +553,26 @@ export async function checkAllRepositoriesForReleases() {
       console.log('[Commit Watch] Release notifications disabled, skipping check');
       console.log('[Commit Watch] notificationsEnabled:', settings.notificationsEnabled);
       console.log('[Commit Watch] releaseNotificationsEnabled:', settings.releaseNotificationsEnabled);
-      return;
+      return true;
     }
     
-    // Get repositories
-    const repos = await getRepositories();
+    // Get repositories (only those with activity, if known)
+    const repos = (await getRepositories()).filter(repo =>
+      !repoKeys || repoKeys.has(getRepoKey(repo))
+    );
     console.log(`[Commit Watch] Checking ${repos.length} repositories for releases...`);
     
     // Get last known releases
     const { lastReleases = {} } = await getStorage('lastReleases');
     
+    // GraphQL backend: recent releases and latest tag of all GitHub repos in a few batched queries
+    const snapshots = settings.githubPollingMode === 'graphql'
+      ? await getGitHubRepositorySnapshots(repos)
+      : {};
+    
     // Track new releases for batch update
     const newReleases = [];
+    const failedRepoKeys = new Set();
     const updatedLastReleases = { ...lastReleases };
     
     // Check each repository (with rate limiting consideration)
@@ -273,19 +582,23 @@ export async function checkAllRepositoriesForReleases() {
       const batch = repos.slice(i, i + batchSize);
       
       const results = await Promise.all(
-        batch.map(repo => checkRepoForNewReleases(repo, lastReleases, settings))
+        batch.map(repo => checkRepoForNewReleases(
+          repo, lastReleases, settings,
+          snapshots[getRepoKey(repo)]
+        ))
       );
       
       for (const result of results) {
-        if (result) {
-          // Update last known release using platform-specific key
-          const key = result.repoKey || result.repo.full_name;
-          updatedLastReleases[key] = result.release.id;
+        if (result?.failed) {
+          failedRepoKeys.add(result.repoKey);
+        } else if (result) {
+          // Update last known releases using account-specific key
+          updatedLastReleases[result.repoKey] = result.releaseState;
           
           // Track new releases for notification
-          if (result.isNew) {
-            console.log(`[Commit Watch] New release detected: ${result.repo.full_name} - ${result.release.tag_name}`);
-            newReleases.push(result);
+          for (const release of result.newReleases) {
+            console.log(`[Commit Watch] New release detected: ${result.repo.full_name} - ${release.tag_name}`);
+            newReleases.push({ repo: result.repo, release });
           }
         }
       }
@@ -296,8 +609,12 @@ export async function checkAllRepositoriesForReleases() {
       }
     }
     
-    // Store updated release IDs
+    // Store updated release IDs, then the validators of the responses they came from
     await setStorage({ lastReleases: updatedLastReleases });
+    await saveValidators();
+    
+    // New releases count as activity for the adaptive schedule
+    await recordRepoActivity(new Set(newReleases.map(({ repo }) => getRepoKey(repo))));
     
     // Send notifications for new releases
     for (const { repo, release } of newReleases) {
@@ -310,8 +627,13 @@ export async function checkAllRepositoriesForReleases() {
     }
     
     console.log(`[Commit Watch] Release check complete. Found ${newReleases.length} new releases.`);
+    return failedRepoKeys.size === 0;
     
   } catch (error) {
     console.error('[Commit Watch] Error during release check:', error);
+    
+    // Last known releases may not have been saved - drop validators so a 304 cannot hide a new release
+    await clearValidators();
+    return false;
   }
 }
\ No newline at end of file
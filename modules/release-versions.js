@@ -0,0 +1,165 @@
+/**
+ * Commit Watch - Release Versions
+ * 
+ * Parses release tag names as semantic versions and classifies every new
+ * release against the highest stable version seen before it: major, minor,
+ * patch or pre-release, a downgrade (e.g. a patch back-ported to an older
+ * line) or a retag of a version that was already released.
+ */
+
+import { compareVersions } from './dependency-analysis.js';
+
+// 'v1.2.3', '1.2', 'v2.0.0-rc.1', 'release-1.4.0', 'pkg@3.1.0+build.5'
+const VERSION_PATTERN = /^(?:[a-z][\w.-]*?[-_/@])?v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9a-z.-]+))?(?:\+[0-9a-z.-]+)?$/i;
+
+// Threshold levels, lowest first
+export const RELEASE_LEVELS = ['patch', 'minor', 'major'];
+
+/**
+ * Parse a tag name as a semantic version
+ * @param {string} tagName - Tag name
+ * @returns {Object|null} { core: [major, minor, patch], prerelease: ['rc', '1'] }, null when not a version
+ */
+export function parseReleaseVersion(tagName) {
+  const match = (tagName || '').match(VERSION_PATTERN);
+  if (!match) return null;
+  return {
+    core: [1, 2, 3].map(i => parseInt(match[i] || '0')),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compare two parsed versions by semver precedence (1.0.0-rc.1 < 1.0.0)
+ * @param {Object} a - Parsed version
+ * @param {Object} b - Parsed version
+ * @returns {number} < 0 when a is lower, 0 when equal, > 0 when higher
+ */
+export function compareReleaseVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a.core[i] !== b.core[i]) return a.core[i] - b.core[i];
+  }
+  
+  // A pre-release ranks below the release itself
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const [x, y] = [a.prerelease[i], b.prerelease[i]];
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1;
+    if (x === y) continue;
+    
+    // Numeric identifiers rank below alphanumeric ones
+    const [xNumeric, yNumeric] = [/^\d+$/.test(x), /^\d+$/.test(y)];
+    if (xNumeric && yNumeric) return parseInt(x) - parseInt(y);
+    if (xNumeric !== yNumeric) return xNumeric ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Get the highest stable version among releases
+ * @param {Array} releases - Releases/tags
+ * @returns {string|null} Tag name of the highest stable version
+ */
+export function getHighestVersion(releases) {
+  let highest = null;
+  for (const release of releases) {
+    const version = parseReleaseVersion(release.tag_name);
+    if (!version || version.prerelease.length > 0 || release.prerelease || release.draft) continue;
+    if (!highest || compareReleaseVersions(version, parseReleaseVersion(highest)) > 0) {
+      highest = release.tag_name;
+    }
+  }
+  return highest;
+}
+
+/**
+ * Get the tracked tag a release follows, to compare it with
+ * That is the highest version below it (stable releases skip pre-releases);
+ * tags that are no version follow the most recently tracked tag.
+ * 
+ * @param {Object} release - Release/tag object
+ * @param {Object} knownTags - { [tagName]: commit SHA } of the tags seen so far, oldest first
+ * @returns {string|null} Tag name, null when there is none
+ */
+export function getPreviousTag(release, knownTags = {}) {
+  const tagNames = Object.keys(knownTags).filter(tagName => tagName !== release.tag_name);
+  const version = parseReleaseVersion(release.tag_name);
+  if (!version) return tagNames[tagNames.length - 1] || null;
+  
+  const isStable = version.prerelease.length === 0 && !release.prerelease;
+  let previous = null;
+  for (const tagName of tagNames) {
+    const candidate = parseReleaseVersion(tagName);
+    if (!candidate || (isStable && candidate.prerelease.length > 0)) continue;
+    if (compareReleaseVersions(candidate, version) >= 0) continue;
+    if (!previous || compareReleaseVersions(candidate, previous.version) > 0) {
+      previous = { tagName, version: candidate };
+    }
+  }
+  return previous?.tagName || null;
+}
+
+/**
+ * Classify a release against the highest stable version seen before it
+ * 
+ * @param {Object} release - Release/tag object
+ * @param {string|null} highestVersion - Tag name of the highest stable version so far
+ * @param {Object} knownTags - { [tagName]: commit SHA } of the tags seen so far; a new
+ *   release of one of them is a retag (the tag moved, or its release was re-created)
+ * @returns {Object} { kind, bump, previousVersion } - kind is 'major', 'minor', 'patch',
+ *   'prerelease', 'downgrade', 'retag' or 'unversioned' (tag is no version);
+ *   bump is the semver level above previousVersion (pre-releases included, below 1.0.0
+ *   a minor bump counts as major), null when there is none
+ */
+export function classifyRelease(release, highestVersion, knownTags = {}) {
+  const previousVersion = highestVersion || null;
+  if (Object.hasOwn(knownTags, release.tag_name)) {
+    return { kind: 'retag', bump: null, previousVersion };
+  }
+  
+  const version = parseReleaseVersion(release.tag_name);
+  if (!version) {
+    return { kind: 'unversioned', bump: null, previousVersion };
+  }
+  
+  const isPrerelease = version.prerelease.length > 0 || !!release.prerelease;
+  const previous = previousVersion && parseReleaseVersion(previousVersion);
+  if (!previous) {
+    return { kind: isPrerelease ? 'prerelease' : 'major', bump: null, previousVersion };
+  }
+  
+  const order = compareReleaseVersions(version, previous);
+  if (order === 0) {
+    // Same version under another tag name ('2.0.0' after 'v2.0.0')
+    return { kind: 'retag', bump: null, previousVersion };
+  }
+  if (order < 0) {
+    return { kind: 'downgrade', bump: null, previousVersion };
+  }
+  
+  const bump = compareVersions(previous.core.join('.'), version.core.join('.')).level;
+  return { kind: isPrerelease ? 'prerelease' : (bump || 'patch'), bump, previousVersion };
+}
+
+/**
+ * Check if a classified release reaches a notification threshold
+ * Downgrades count as patch releases, pre-releases by their version bump;
+ * retags and unversioned tags are always reported.
+ * 
+ * @param {Object} classification - Result of classifyRelease
+ * @param {string} threshold - 'all', 'patch', 'minor' or 'major'
+ * @returns {boolean}
+ */
+export function meetsReleaseThreshold(classification, threshold = 'all') {
+  if (!RELEASE_LEVELS.includes(threshold)) return true;
+  
+  const { kind, bump } = classification;
+  if (kind === 'retag' || kind === 'unversioned') return true;
+  
+  const level = kind === 'prerelease' || kind === 'downgrade' ? bump || 'patch' : kind;
+  return RELEASE_LEVELS.indexOf(level) >= RELEASE_LEVELS.indexOf(threshold);
+}
\ No newline at end of file
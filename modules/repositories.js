@@ -3,18 +3,22 @@
  */
 
 import { fetchGitHub } from './github-api.js';
-import { fetchGitLabProjects, normalizeGitLabProject } from './gitlab-api.js';
+import { fetchGitLab, fetchGitLabProjects, normalizeGitLabProject } from './gitlab-api.js';
 import { getStorage, setStorage } from './storage.js';
 import { getSettings } from './settings.js';
-import { isGitHubAuthenticated, isGitLabAuthenticated } from './auth.js';
+import { getAccounts, getRepositoriesCacheKey } from './accounts.js';
+import { getRepoKey, isGlobPattern, matchesGlob } from './utils.js';
+
+const LANGUAGE_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
 
 /**
- * Fetch all repositories the user is involved in
+ * Fetch all repositories a GitHub account is involved in
  * Uses pagination to get all repos
  * 
+ * @param {Object} account - Connected GitHub account
  * @returns {Promise<Array>} List of repositories
  */
-export async function fetchUserRepositories() {
+export async function fetchUserRepositories(account) {
   const settings = await getSettings();
   const repos = [];
   let page = 1;
@@ -23,7 +27,8 @@ export async function fetchUserRepositories() {
   // Fetch all pages of repositories
   while (hasMore) {
     const response = await fetchGitHub(
-      `/user/repos?affiliation=owner,collaborator,organization_member&per_page=100&page=${page}`
+      `/user/repos?affiliation=owner,collaborator,organization_member&per_page=100&page=${page}`,
+      { account }
     );
     
     if (!response.ok) {
@@ -35,10 +40,10 @@ export async function fetchUserRepositories() {
     if (pageRepos.length === 0) {
       hasMore = false;
     } else {
-      // Filter forks if setting is enabled and add platform identifier
+      // Filter forks if setting is enabled and add platform and account identifiers
       const filteredRepos = pageRepos
         .filter(repo => !settings.ignoreForks || !repo.fork)
-        .map(repo => ({ ...repo, platform: 'github' }));
+        .map(repo => ({ ...repo, platform: 'github', accountId: account.id }));
       
       repos.push(...filteredRepos);
       page++;
@@ -48,85 +53,388 @@ export async function fetchUserRepositories() {
     if (page > 50) break;
   }
   
-  // Cache repositories
+  // Cache repositories per account
   await setStorage({ 
-    repositories: repos,
-    repositoriesUpdated: Date.now()
+    [getRepositoriesCacheKey(account.id)]: { repositories: repos, updated: Date.now() }
   });
   
   return repos;
 }
 
 /**
- * Get GitHub repositories from cache or fetch fresh
+ * Get an account's repositories from cache or fetch fresh
+ * @param {Object} account - Connected account
  * @returns {Promise<Array>}
  */
-export async function getGitHubRepositories() {
-  const { repositories, repositoriesUpdated } = await getStorage(['repositories', 'repositoriesUpdated']);
+export async function getAccountRepositories(account) {
+  const cacheKey = getRepositoriesCacheKey(account.id);
+  const { [cacheKey]: cached } = await getStorage(cacheKey);
   
   // Refresh if cache is older than 1 hour
-  if (!repositories || Date.now() - repositoriesUpdated > 60 * 60 * 1000) {
-    return fetchUserRepositories();
+  if (!cached || Date.now() - cached.updated > 60 * 60 * 1000) {
+    return account.platform === 'gitlab'
+      ? fetchGitLabProjects(account)
+      : fetchUserRepositories(account);
   }
   
-  // Ensure all cached repos have platform field (for backwards compatibility)
-  return repositories.map(repo => ({ ...repo, platform: repo.platform || 'github' }));
+  return cached.repositories;
+}
+
+/**
+ * Drop the cached repository lists so the next call fetches fresh ones
+ */
+export async function clearRepositoryCache() {
+  const accounts = await getAccounts();
+  await chrome.storage.local.remove([
+    ...accounts.map(account => getRepositoriesCacheKey(account.id)),
+    'watchedReposUpdated'
+  ]);
 }
 
 /**
- * Get GitLab projects from cache or fetch fresh
+ * Resolve a repository reference entered by the user
+ * Accepts a web URL on a connected instance (any page of the repository) or
+ * 'owner/name' (GitLab: 'group/subgroup/project') on the first account of a platform
+ * 
+ * @param {string} reference - URL or path
+ * @param {string} platform - Platform for plain paths ('github' or 'gitlab')
+ * @param {Array} accounts - Connected accounts
+ * @returns {Object} { account, path }
+ * @throws {Error} When the reference is invalid or no account can reach it
+ */
+function resolveRepositoryReference(reference, platform, accounts) {
+  let account;
+  let path = reference.trim();
+  
+  if (/^https?:\/\//.test(path)) {
+    // Longest matching instance wins (GitLab may be served from a path prefix)
+    account = accounts
+      .filter(a => path === a.instanceUrl || path.startsWith(`${a.instanceUrl}/`))
+      .sort((a, b) => b.instanceUrl.length - a.instanceUrl.length)[0];
+    if (!account) {
+      throw new Error('Connect an account on this server first');
+    }
+    path = path.slice(account.instanceUrl.length);
+  } else {
+    account = accounts.find(a => a.platform === platform);
+    if (!account) {
+      throw new Error(`Connect a ${platform === 'gitlab' ? 'GitLab' : 'GitHub'} account first`);
+    }
+  }
+  
+  // Drop sub-pages ('/-/tree/main', '/tree/main', '/releases') and a '.git' suffix
+  const segments = path.split(/[?#]/)[0].split('/-/')[0].replace(/\.git$/, '').split('/').filter(Boolean);
+  const pathSegments = account.platform === 'gitlab' ? segments : segments.slice(0, 2);
+  if (pathSegments.length < 2) {
+    throw new Error('Enter a repository URL or owner/name');
+  }
+  
+  return { account, path: pathSegments.join('/') };
+}
+
+/**
+ * Fetch a single repository by path and tag it as watch-only
+ * 
+ * @param {Object} account - Account the repository is watched through
+ * @param {string} path - 'owner/name' or GitLab project path
+ * @returns {Promise<Object>} Repository object
+ */
+async function fetchWatchedRepository(account, path) {
+  const response = account.platform === 'gitlab'
+    ? await fetchGitLab(`/projects/${encodeURIComponent(path)}`, { account })
+    : await fetchGitHub(`/repos/${path}`, { account });
+  
+  if (response.status === 404) {
+    throw new Error(`Repository ${path} not found`);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch repository ${path}: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  const repo = account.platform === 'gitlab'
+    ? normalizeGitLabProject(data)
+    : { ...data, platform: 'github' };
+  
+  return { ...repo, accountId: account.id, watchOnly: true };
+}
+
+/**
+ * Get the watch-only repositories (added by URL, without membership)
+ * Their metadata is refreshed on the same schedule as the account lists
+ * 
  * @returns {Promise<Array>}
  */
-export async function getGitLabRepositories() {
-  const { gitlabRepositories, gitlabRepositoriesUpdated } = await getStorage(['gitlabRepositories', 'gitlabRepositoriesUpdated']);
+export async function getWatchedRepositories() {
+  const { watchedRepos = [], watchedReposUpdated = 0 } = await getStorage(['watchedRepos', 'watchedReposUpdated']);
   
-  // Refresh if cache is older than 1 hour
-  if (!gitlabRepositories || Date.now() - gitlabRepositoriesUpdated > 60 * 60 * 1000) {
-    return fetchGitLabProjects();
+  // Refresh if older than 1 hour (keeps pushed_at current for the adaptive schedule)
+  if (watchedRepos.length === 0 || Date.now() - watchedReposUpdated <= 60 * 60 * 1000) {
+    return watchedRepos;
   }
   
-  // Ensure all cached repos have platform field (for backwards compatibility)
-  return gitlabRepositories.map(repo => ({ ...repo, platform: repo.platform || 'gitlab' }));
+  const accounts = await getAccounts();
+  const refreshed = await Promise.all(watchedRepos.map(async (repo) => {
+    const account = accounts.find(a => a.id === repo.accountId);
+    if (!account) return repo;
+    
+    try {
+      return await fetchWatchedRepository(account, repo.full_name);
+    } catch (error) {
+      console.error(`[Commit Watch] Error refreshing watched repo ${repo.full_name}:`, error);
+      return repo;
+    }
+  }));
+  
+  await setStorage({ watchedRepos: refreshed, watchedReposUpdated: Date.now() });
+  return refreshed;
+}
+
+/**
+ * Start watching a repository the user is not a member of
+ * 
+ * @param {string} reference - Repository URL or 'owner/name'
+ * @param {string} platform - Platform for plain paths ('github' or 'gitlab')
+ * @returns {Promise<Object>} The added repository
+ */
+export async function addWatchedRepository(reference, platform = 'github') {
+  const accounts = await getAccounts();
+  const { account, path } = resolveRepositoryReference(reference, platform, accounts);
+  const repo = await fetchWatchedRepository(account, path);
+  
+  const monitored = (await getRepositories()).find(existing =>
+    !existing.watchOnly && existing.html_url === repo.html_url
+  );
+  if (monitored) {
+    throw new Error(`${repo.full_name} is already monitored through ${monitored.accountId}`);
+  }
+  
+  const { watchedRepos = [] } = await getStorage('watchedRepos');
+  const repoKey = getRepoKey(repo);
+  await setStorage({
+    watchedRepos: [...watchedRepos.filter(watched => getRepoKey(watched) !== repoKey), repo]
+  });
+  
+  console.log(`[Commit Watch] Watching ${repoKey}`);
+  return repo;
+}
+
+/**
+ * Stop watching a watch-only repository
+ * @param {string} repoKey - Repository key
+ */
+export async function removeWatchedRepository(repoKey) {
+  const { watchedRepos = [] } = await getStorage('watchedRepos');
+  await setStorage({
+    watchedRepos: watchedRepos.filter(repo => getRepoKey(repo) !== repoKey)
+  });
 }
 
 /**
- * Get all repositories from both GitHub and GitLab
+ * Get all repositories of all connected GitHub and GitLab accounts,
+ * followed by the watch-only repositories
+ * A repository visible to several accounts on the same instance is only
+ * returned once, through the account connected first
+ * 
  * @returns {Promise<Array>}
  */
 export async function getRepositories() {
+  const accounts = await getAccounts();
+  
+  // Fetch from all accounts in parallel
+  const results = await Promise.all(accounts.map(account =>
+    getAccountRepositories(account).catch(err => {
+      console.error(`[Commit Watch] Error fetching repos of ${account.id}:`, err);
+      return [];
+    })
+  ));
+  const instanceUrls = new Map(accounts.map(account => [account.id, account.instanceUrl]));
+  
   const repos = [];
+  const seen = new Set();
   
-  // Fetch from both platforms in parallel
-  const [githubAuth, gitlabAuth] = await Promise.all([
-    isGitHubAuthenticated(),
-    isGitLabAuthenticated()
-  ]);
+  // GitLab project lists carry no language; show the last one read by getRepositoryLanguage
+  const { repoLanguages = {} } = await getStorage('repoLanguages');
+  
+  // Watched repositories that later became member repositories are only listed once
+  for (const repo of [...results.flat(), ...await getWatchedRepositories()]) {
+    const instanceKey = `${instanceUrls.get(repo.accountId)} ${repo.full_name}`;
+    if (instanceUrls.has(repo.accountId) && !seen.has(instanceKey)) {
+      seen.add(instanceKey);
+      const cachedLanguage = repo.platform === 'gitlab' && repoLanguages[getRepoKey(repo)]?.language;
+      repos.push(cachedLanguage ? { ...repo, language: cachedLanguage } : repo);
+    }
+  }
+  
+  return repos;
+}
+
+/**
+ * Fetch the primary language of a GitLab project (languages endpoint)
+ * 
+ * @param {Object} repo - Repository/project object
+ * @returns {Promise<string|null>} Language with the largest share, e.g. 'Python'
+ */
+export async function fetchGitLabProjectLanguage(repo) {
+  const projectId = encodeURIComponent(repo.full_name);
+  const response = await fetchGitLab(
+    `/projects/${projectId}/languages`,
+    { account: repo.accountId }
+  );
+  
+  if (!response.ok) {
+    throw new Error(`Failed to fetch GitLab languages: ${response.status}`);
+  }
+  
+  // { "Ruby": 66.69, "JavaScript": 22.98, ... }
+  const languages = Object.entries(await response.json());
+  if (languages.length === 0) return null;
+  return languages.reduce((primary, entry) => entry[1] > primary[1] ? entry : primary)[0];
+}
+
+/**
+ * Get the primary language of a repository
+ * GitHub repositories carry it; GitLab languages are fetched and cached for a week.
+ * 
+ * @param {Object} repo - Repository object
+ * @returns {Promise<string|null>}
+ */
+export async function getRepositoryLanguage(repo) {
+  if (repo.platform !== 'gitlab') {
+    return repo.language || null;
+  }
   
-  const fetchPromises = [];
+  const repoKey = getRepoKey(repo);
+  const { repoLanguages = {} } = await getStorage('repoLanguages');
+  const cached = repoLanguages[repoKey];
+  if (cached && Date.now() - cached.updated < LANGUAGE_CACHE_MAX_AGE) {
+    return cached.language;
+  }
   
-  if (githubAuth) {
-    fetchPromises.push(
-      getGitHubRepositories().catch(err => {
-        console.error('[Commit Watch] Error fetching GitHub repos:', err);
-        return [];
-      })
+  try {
+    const language = await fetchGitLabProjectLanguage(repo);
+    
+    const { repoLanguages: current = {} } = await getStorage('repoLanguages');
+    await setStorage({ repoLanguages: { ...current, [repoKey]: { language, updated: Date.now() } } });
+    
+    return language;
+  } catch (error) {
+    console.error(`[Commit Watch] Error fetching languages of ${repo.full_name}:`, error);
+    return cached?.language || null;
+  }
+}
+
+/**
+ * Fetch all branch names of a GitHub repository
+ * 
+ * @param {Object} repo - Repository object
+ * @returns {Promise<Array<string>>} Branch names
+ */
+export async function fetchGitHubBranches(repo) {
+  const branches = [];
+  let page = 1;
+  let hasMore = true;
+  
+  while (hasMore) {
+    const response = await fetchGitHub(
+      `/repos/${repo.full_name}/branches?per_page=100&page=${page}`,
+      { account: repo.accountId }
     );
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch branches: ${response.status}`);
+    }
+    
+    const pageBranches = await response.json();
+    branches.push(...pageBranches.map(branch => branch.name));
+    hasMore = pageBranches.length === 100;
+    page++;
+    
+    // Safety limit to prevent infinite loops
+    if (page > 10) break;
   }
   
-  if (gitlabAuth) {
-    fetchPromises.push(
-      getGitLabRepositories().catch(err => {
-        console.error('[Commit Watch] Error fetching GitLab repos:', err);
-        return [];
-      })
+  return branches;
+}
+
+/**
+ * Fetch all branch names of a GitLab project
+ * 
+ * @param {Object} repo - Repository/project object
+ * @returns {Promise<Array<string>>} Branch names
+ */
+export async function fetchGitLabBranches(repo) {
+  const projectId = encodeURIComponent(repo.full_name);
+  const branches = [];
+  let page = 1;
+  let hasMore = true;
+  
+  while (hasMore) {
+    const response = await fetchGitLab(
+      `/projects/${projectId}/repository/branches?per_page=100&page=${page}`,
+      { account: repo.accountId }
     );
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch GitLab branches: ${response.status}`);
+    }
+    
+    const pageBranches = await response.json();
+    branches.push(...pageBranches.map(branch => branch.name));
+    hasMore = pageBranches.length === 100;
+    page++;
+    
+    // Safety limit to prevent infinite loops
+    if (page > 10) break;
+  }
+  
+  return branches;
+}
+
+/**
+ * Fetch all branch names of a repository (routes to platform-specific function)
+ * 
+ * @param {Object} repo - Repository object
+ * @returns {Promise<Array<string>>} Branch names
+ */
+export async function fetchRepositoryBranches(repo) {
+  if (repo.platform === 'gitlab') {
+    return fetchGitLabBranches(repo);
   }
+  return fetchGitHubBranches(repo);
+}
+
+/**
+ * Resolve the branches to watch for a repository
+ * Uses the branch names / glob patterns configured in settings.repoBranches,
+ * listing the repository's branches on every call so branches created after
+ * a pattern was added are picked up. Defaults to the default branch.
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} settings - User settings
+ * @returns {Promise<Array<string>>} Branch names to watch
+ */
+export async function resolveWatchedBranches(repo, settings) {
+  const patterns = settings.repoBranches?.[getRepoKey(repo)] || [];
   
-  const results = await Promise.all(fetchPromises);
+  if (patterns.length === 0) {
+    return [repo.default_branch];
+  }
   
-  for (const result of results) {
-    repos.push(...result);
+  const exactNames = patterns.filter(pattern => !isGlobPattern(pattern));
+  const globs = patterns.filter(isGlobPattern);
+  
+  if (globs.length === 0) {
+    return [...new Set(exactNames)];
   }
   
-  return repos;
+  try {
+    const branches = await fetchRepositoryBranches(repo);
+    const matching = branches.filter(branch => globs.some(glob => matchesGlob(branch, glob)));
+    return [...new Set([...exactNames, ...matching])];
+  } catch (error) {
+    console.error(`[Commit Watch] Error discovering branches for ${repo.full_name}:`, error);
+    // Still watch the explicitly named branches
+    return exactNames.length > 0 ? [...new Set(exactNames)] : [repo.default_branch];
+  }
 }
\ No newline at end of file
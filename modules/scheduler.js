@@ -0,0 +1,172 @@
+/**
+ * Commit Watch - Adaptive Per-Repository Scheduling
+ * 
+ * Tracks when each repository last had commit or release activity and
+ * derives how often it needs to be checked: active repositories are checked
+ * every polling cycle, dormant ones back off to hourly or daily checks.
+ */
+
+import { getStorage, setStorage } from './storage.js';
+import { getRepoKey } from './utils.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Activity age → check interval (minutes, null = every polling cycle)
+const ACTIVITY_TIERS = [
+  { maxAge: 7 * DAY, interval: null },
+  { maxAge: 90 * DAY, interval: 60 },
+  { maxAge: Infinity, interval: 24 * 60 }
+];
+
+/**
+ * Get the stored schedule state
+ * @returns {Promise<Object>} { [repoKey]: { lastActivity, lastChecked } }
+ */
+async function getSchedule() {
+  const { repoSchedule = {} } = await getStorage('repoSchedule');
+  return repoSchedule;
+}
+
+/**
+ * Get the last known activity time of a repository
+ * Falls back to the push/activity date reported by the platform API
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} entry - Stored schedule entry
+ * @returns {number|null} Timestamp
+ */
+function getLastActivity(repo, entry) {
+  if (entry?.lastActivity) return entry.lastActivity;
+  
+  const reported = repo.pushed_at || repo.last_activity_at;
+  return reported ? new Date(reported).getTime() : null;
+}
+
+/**
+ * Get the effective check interval of a repository
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} schedule - Stored schedule state
+ * @param {Object} settings - User settings
+ * @param {number} now - Current timestamp
+ * @returns {Object} { interval (minutes), source: 'override' | 'activity' }
+ */
+export function getEffectiveInterval(repo, schedule, settings, now = Date.now()) {
+  const cycle = settings.checkInterval;
+  const override = settings.repoIntervals?.[getRepoKey(repo)];
+  
+  if (override) {
+    return { interval: Math.max(cycle, override), source: 'override' };
+  }
+  
+  if (settings.adaptivePolling === false) {
+    return { interval: cycle, source: 'activity' };
+  }
+  
+  const lastActivity = getLastActivity(repo, schedule[getRepoKey(repo)]);
+  const age = lastActivity ? now - lastActivity : Infinity;
+  const tier = ACTIVITY_TIERS.find(t => age <= t.maxAge);
+  
+  return { interval: Math.max(cycle, tier.interval || cycle), source: 'activity' };
+}
+
+/**
+ * Get the time a repository's next check is due
+ * 
+ * @param {Object} repo - Repository object
+ * @param {Object} schedule - Stored schedule state
+ * @param {Object} settings - User settings
+ * @param {number} now - Current timestamp
+ * @returns {number} Timestamp (never checked repositories are due immediately)
+ */
+function getNextCheck(repo, schedule, settings, now = Date.now()) {
+  const lastChecked = schedule[getRepoKey(repo)]?.lastChecked;
+  if (!lastChecked) return now;
+  
+  return lastChecked + getEffectiveInterval(repo, schedule, settings, now).interval * MINUTE;
+}
+
+/**
+ * Get the repositories due for a check in this polling cycle
+ * 
+ * @param {Array} repos - All monitored repositories
+ * @param {Object} settings - User settings
+ * @returns {Promise<Set<string>>} Repository keys
+ */
+export async function getDueRepositories(repos, settings) {
+  const schedule = await getSchedule();
+  const now = Date.now();
+  
+  // Alarms do not fire exactly on time - allow half a cycle of slack
+  const slack = (settings.checkInterval * MINUTE) / 2;
+  
+  return new Set(
+    repos
+      .filter(repo => getNextCheck(repo, schedule, settings, now) <= now + slack)
+      .map(getRepoKey)
+  );
+}
+
+/**
+ * Record that repositories were checked, and which of them had new activity
+ * 
+ * @param {Array} repos - Checked repositories
+ * @param {Set<string>} activeRepoKeys - Keys of repositories with new commits or releases
+ */
+export async function recordRepoChecks(repos, activeRepoKeys = new Set()) {
+  const schedule = await getSchedule();
+  const now = Date.now();
+  
+  for (const repo of repos) {
+    const repoKey = getRepoKey(repo);
+    schedule[repoKey] = {
+      ...schedule[repoKey],
+      lastChecked: now,
+      ...(activeRepoKeys.has(repoKey) && { lastActivity: now })
+    };
+  }
+  
+  await setStorage({ repoSchedule: schedule });
+}
+
+/**
+ * Record new activity (e.g. a release) without touching the check time
+ * 
+ * @param {Set<string>} activeRepoKeys - Keys of repositories with new activity
+ */
+export async function recordRepoActivity(activeRepoKeys) {
+  if (activeRepoKeys.size === 0) return;
+  
+  const schedule = await getSchedule();
+  const now = Date.now();
+  
+  for (const repoKey of activeRepoKeys) {
+    schedule[repoKey] = { ...schedule[repoKey], lastActivity: now };
+  }
+  
+  await setStorage({ repoSchedule: schedule });
+}
+
+/**
+ * Describe the schedule of every repository (for the options page)
+ * 
+ * @param {Array} repos - All monitored repositories
+ * @param {Object} settings - User settings
+ * @returns {Promise<Object>} { [repoKey]: { interval, source, lastActivity, nextCheck } }
+ */
+export async function describeSchedule(repos, settings) {
+  const schedule = await getSchedule();
+  const now = Date.now();
+  const result = {};
+  
+  for (const repo of repos) {
+    result[getRepoKey(repo)] = {
+      ...getEffectiveInterval(repo, schedule, settings, now),
+      lastActivity: getLastActivity(repo, schedule[getRepoKey(repo)]),
+      nextCheck: getNextCheck(repo, schedule, settings, now)
+    };
+  }
+  
+  return result;
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * Commit Watch - Secret Leak Scanning
+ * 
+ * Scans the added lines of commit patches for high-confidence secret
+ * patterns (cloud keys, private keys, platform tokens, webhooks).
+ * Findings only ever carry a redacted excerpt - never the secret itself.
+ */
+
+const SECRET_PATTERNS = [
+  { id: 'aws-access-key', label: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { id: 'google-api-key', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  {
+    id: 'private-key',
+    label: 'Private key',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/
+  },
+  { id: 'github-token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/ },
+  { id: 'gitlab-token', label: 'GitLab token', pattern: /\bgl(?:pat|dt|rt|ptt)-[A-Za-z0-9_-]{20,}\b/ },
+  {
+    id: 'slack-webhook',
+    label: 'Slack webhook',
+    pattern: /https:\/\/hooks\.slack\.com\/(?:services|workflows)\/[A-Za-z0-9_/]{20,}/,
+    visiblePrefix: 'https://hooks.slack.com/'.length
+  },
+  { id: 'slack-token', label: 'Slack token', pattern: /\bxox[abposr]-[0-9A-Za-z-]{10,}\b/ },
+  { id: 'stripe-key', label: 'Stripe live key', pattern: /\b[rs]k_live_[0-9A-Za-z]{24,}\b/ },
+  { id: 'npm-token', label: 'npm token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/ }
+];
+
+// Long token-like runs are masked in excerpts too (e.g. the secret key next to an access key id)
+const TOKEN_LIKE = /[A-Za-z0-9+/=_-]{20,}/g;
+
+const EXCERPT_CONTEXT = 30;
+const MAX_FINDINGS = 10;
+
+/**
+ * Mask a secret, keeping only a short prefix to recognize its kind
+ * @param {string} value - Secret value
+ * @param {number} visiblePrefix - Characters kept
+ * @returns {string} e.g. 'AKIA••••••••'
+ */
+function redact(value, visiblePrefix = 4) {
+  return `${value.slice(0, visiblePrefix)}${'•'.repeat(8)}`;
+}
+
+/**
+ * Build a redacted excerpt around a match
+ * 
+ * @param {string} line - Added line (without the leading '+')
+ * @param {number} index - Match position
+ * @param {string} match - Matched secret
+ * @param {Object} secretPattern - Pattern that matched
+ * @returns {string}
+ */
+function buildExcerpt(line, index, match, secretPattern) {
+  // Mask before cutting, so no partial token survives at the excerpt edges
+  const before = line.slice(0, index).replace(TOKEN_LIKE, token => redact(token)).slice(-EXCERPT_CONTEXT);
+  const after = line.slice(index + match.length).replace(TOKEN_LIKE, token => redact(token)).slice(0, EXCERPT_CONTEXT);
+  
+  // Private key headers are not secret themselves - the key body follows on the next lines
+  const shown = secretPattern.id === 'private-key' ? match : redact(match, secretPattern.visiblePrefix);
+  return `${before}${shown}${after}`.trim();
+}
+
+/**
+ * Scan the added lines of a unified diff
+ * 
+ * @param {string} patch - Unified diff of one file
+ * @returns {Array} [{ type, label, line, excerpt }]
+ */
+function scanPatch(patch) {
+  const findings = [];
+  let lineNumber = 0;
+  
+  for (const diffLine of patch.split('\n')) {
+    const hunk = diffLine.match(/^@@ -\d+(?:,\d+)? \+(\d+)/);
+    if (hunk) {
+      lineNumber = parseInt(hunk[1]) - 1;
+      continue;
+    }
+    // Removed lines and '\ No newline at end of file' do not exist in the new file
+    if (diffLine.startsWith('-') || diffLine.startsWith('\\')) continue;
+    lineNumber++;
+    if (!diffLine.startsWith('+') || diffLine.startsWith('+++')) continue;
+    
+    const line = diffLine.slice(1);
+    for (const secretPattern of SECRET_PATTERNS) {
+      const match = line.match(secretPattern.pattern);
+      if (match) {
+        findings.push({
+          type: secretPattern.id,
+          label: secretPattern.label,
+          line: lineNumber,
+          excerpt: buildExcerpt(line, match.index, match[0], secretPattern)
+        });
+      }
+    }
+  }
+  
+  return findings;
+}
+
+/**
+ * Scan a commit for secrets added in its patches
+ * Files without a patch (binary, too large) are skipped.
+ * 
+ * @param {Object} commit - Commit with files (GitHub format, `patch` per file)
+ * @returns {Array} Findings [{ filename, type, label, line, excerpt }], at most one per file and type
+ */
+export function scanCommitForSecrets(commit) {
+  const findings = [];
+  
+  for (const file of commit.files || []) {
+    if (!file.patch) continue;
+    
+    const seenTypes = new Set();
+    for (const finding of scanPatch(file.patch)) {
+      if (seenTypes.has(finding.type)) continue;
+      seenTypes.add(finding.type);
+      findings.push({ filename: file.filename, ...finding });
+    }
+  }
+  
+  return findings.slice(0, MAX_FINDINGS);
+}
\ No newline at end of file
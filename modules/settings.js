@@ -4,20 +4,41 @@
 
 import { getStorage } from './storage.js';
 import { DEFAULT_CHECK_INTERVAL } from './constants.js';
+import { ensureAccountsMigrated } from './accounts.js';
+
+/**
+ * Default settings (also stored on install)
+ */
+export const DEFAULT_SETTINGS = {
+  checkInterval: DEFAULT_CHECK_INTERVAL,
+  ignoreForks: true,
+  ignoreOwnCommits: false,
+  botCommits: 'notify', // Bot commits (Dependabot, Renovate...): 'notify', 'batch' (one per branch) or 'mute'
+  enabledRepos: {}, // { 'accountId:owner/repo': true/false }
+  repoBranches: {}, // { 'accountId:owner/repo': ['main', 'release/*'] }
+  notificationsEnabled: true,
+  releaseNotificationsEnabled: true, // Monitor new releases
+  releaseChannels: {}, // Release channels to notify on (default: stable and pre-release): { 'accountId:owner/repo': ['stable', 'draft'] }
+  releaseThresholds: {}, // Lowest semver level to notify on ('patch', 'minor', 'major'; default: all): { 'accountId:owner/repo': 'minor' }
+  githubPollingMode: 'rest', // 'rest' (per repository) or 'graphql' (batched queries)
+  pollingMode: 'full', // 'full' (every repository) or 'events' (only repos with feed activity)
+  adaptivePolling: true, // Check dormant repositories hourly/daily instead of every cycle
+  repoIntervals: {}, // Per-repo check interval overrides in minutes: { 'accountId:owner/repo': 60 }
+  signedCommitRepos: {}, // Repos that require signed commits (alert on unsigned/unverified): { 'accountId:owner/repo': true }
+  classificationRules: null, // User-edited classification ruleset (null = built-in rules)
+  classificationRuleIds: null, // Built-in rule ids the ruleset was saved with (newer built-in rules are merged in)
+  codeOwnersPriority: true, // Raise commits touching files you or your teams own (CODEOWNERS)
+  secretScanning: true, // Alert when added lines look like leaked secrets (tokens, keys, webhooks)
+  dependencyAnalysis: true // Diff dependency manifests and raise priority for major upgrades and new packages
+};
 
 /**
  * Get user settings with defaults
  * @returns {Promise<Object>} User settings
  */
 export async function getSettings() {
+  // Per-repository settings are re-keyed by the account migration
+  await ensureAccountsMigrated();
   const { settings } = await getStorage('settings');
-  return {
-    checkInterval: DEFAULT_CHECK_INTERVAL,
-    ignoreForks: true,
-    ignoreOwnCommits: false,
-    enabledRepos: {}, // { 'platform:owner/repo': true/false }
-    notificationsEnabled: true,
-    releaseNotificationsEnabled: true, // Monitor new releases
-    ...settings
-  };
+  return { ...DEFAULT_SETTINGS, ...settings };
 }
\ No newline at end of file
@@ -17,6 +17,92 @@ export function formatTime() {
   return new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+/**
+ * Build the key repository state and settings are stored under
+ * e.g. 'github:octocat@github.com:owner/repo' (account id + full name)
+ * 
+ * @param {Object} repo - Repository object
+ * @returns {string}
+ */
+export function getRepoKey(repo) {
+  return `${repo.accountId || repo.platform || 'github'}:${repo.full_name}`;
+}
+
+/**
+ * Check if a string contains glob wildcards
+ * @param {string} pattern - Pattern to inspect
+ * @returns {boolean}
+ */
+export function isGlobPattern(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Match a slash-separated value (branch name, file path) against a glob pattern
+ * `*` matches within one path segment, `**` across segments (a leading `**` also
+ * matches files at the root), `?` a single character
+ * 
+ * @param {string} value - Value to test (e.g. 'release/2.x')
+ * @param {string} pattern - Glob pattern (e.g. 'release/*')
+ * @returns {boolean}
+ */
+export function matchesGlob(value, pattern) {
+  const regex = pattern
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map(part => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${regex}$`).test(value);
+}
+
+/**
+ * Check if a tag name is a semantic version with a pre-release part ('v2.0.0-rc.1', '1.4-beta')
+ * @param {string} tagName - Tag name
+ * @returns {boolean}
+ */
+export function isPrereleaseVersion(tagName) {
+  return /^v?\d+(\.\d+){0,2}-[0-9a-z]/i.test(tagName || '');
+}
+
+/**
+ * Get the first meaningful line of release notes as plain text
+ * Headings, comments, code blocks, rules, tables and the generated
+ * "Full Changelog" line are skipped; Markdown markup is removed.
+ * 
+ * @param {string} body - Release notes (Markdown)
+ * @returns {string|null}
+ */
+export function getReleaseNotesSummary(body) {
+  let inCodeBlock = false;
+  
+  for (const rawLine of (body || '').replace(/<!--[\s\S]*?-->/g, '').split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('```') || line.startsWith('~~~')) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock || !line || /^(#|\||<)/.test(line) || /^([-*_])(\s*\1){2,}$/.test(line)) continue;
+    
+    const text = line
+      .replace(/^>\s*/, '')
+      .replace(/^([-*+]|\d+[.)])\s+(\[[ x]\]\s+)?/i, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/\*\*|__|~~|`/g, '')
+      .trim();
+    if (!text || /^full changelog\b/i.test(text)) continue;
+    
+    return truncate(text, 120);
+  }
+  
+  return null;
+}
+
 /**
  * Get notification type info with emoji and label
  * @param {string} type - Notification type
@@ -32,9 +118,15 @@ export function getNotificationTypeInfo(type) {
     tests: { emoji: '🧪', label: 'TESTS' },
     localization: { emoji: '🌍', label: 'I18N' },
     code: { emoji: '💻', label: 'COMMIT' },
+    bot: { emoji: '🤖', label: 'BOT' },
+    rewrite: { emoji: '⚠️', label: 'FORCE PUSH' },
+    secret: { emoji: '🔑', label: 'POSSIBLE SECRET' },
+    unsigned: { emoji: '🔓', label: 'UNSIGNED' },
     // Release types
     release: { emoji: '🚀', label: 'RELEASE' },
     tag: { emoji: '🏷️', label: 'TAG' },
+    downgrade: { emoji: '⏬', label: 'DOWNGRADE' },
+    retag: { emoji: '🔁', label: 'RETAG' },
     // GitHub notification types
     PullRequest: { emoji: '🔀', label: 'PR' },
     Issue: { emoji: '🐛', label: 'ISSUE' },
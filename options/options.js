@@ -20,6 +20,8 @@ const elements = {
   githubAuthStatus: document.getElementById('github-auth-status'),
   githubAuthForm: document.getElementById('github-auth-form'),
   githubTokenInput: document.getElementById('github-token-input'),
+  githubInstanceInput: document.getElementById('github-instance-input'),
+  githubGenerateTokenLink: document.getElementById('github-generate-token-link'),
   showGithubTokenBtn: document.getElementById('show-github-token-btn'),
   saveGithubTokenBtn: document.getElementById('save-github-token-btn'),
   
@@ -28,6 +30,8 @@ const elements = {
   gitlabAuthStatus: document.getElementById('gitlab-auth-status'),
   gitlabAuthForm: document.getElementById('gitlab-auth-form'),
   gitlabTokenInput: document.getElementById('gitlab-token-input'),
+  gitlabInstanceInput: document.getElementById('gitlab-instance-input'),
+  gitlabGenerateTokenLink: document.getElementById('gitlab-generate-token-link'),
   showGitlabTokenBtn: document.getElementById('show-gitlab-token-btn'),
   saveGitlabTokenBtn: document.getElementById('save-gitlab-token-btn'),
   
@@ -40,8 +44,15 @@ const elements = {
   notificationsEnabled: document.getElementById('notifications-enabled'),
   releaseNotifications: document.getElementById('release-notifications'),
   checkInterval: document.getElementById('check-interval'),
+  githubPollingMode: document.getElementById('github-polling-mode'),
+  pollingMode: document.getElementById('polling-mode'),
+  adaptivePolling: document.getElementById('adaptive-polling'),
   ignoreForks: document.getElementById('ignore-forks'),
   ignoreOwn: document.getElementById('ignore-own'),
+  botCommits: document.getElementById('bot-commits'),
+  codeOwnersPriority: document.getElementById('code-owners-priority'),
+  secretScanning: document.getElementById('secret-scanning'),
+  dependencyAnalysis: document.getElementById('dependency-analysis'),
   
   // Repository elements
   repoCount: document.getElementById('repo-count'),
@@ -49,8 +60,17 @@ const elements = {
   repoSearch: document.getElementById('repo-search'),
   enableAllBtn: document.getElementById('enable-all-btn'),
   disableAllBtn: document.getElementById('disable-all-btn'),
+  watchRepoInput: document.getElementById('watch-repo-input'),
+  watchRepoPlatform: document.getElementById('watch-repo-platform'),
+  watchRepoBtn: document.getElementById('watch-repo-btn'),
   repoList: document.getElementById('repo-list'),
   
+  // Classification rules
+  rulesEditor: document.getElementById('rules-editor'),
+  rulesStatus: document.getElementById('rules-status'),
+  saveRulesBtn: document.getElementById('save-rules-btn'),
+  resetRulesBtn: document.getElementById('reset-rules-btn'),
+  
   // Theme
   themeToggleBtn: document.getElementById('theme-toggle-btn'),
   
@@ -64,6 +84,9 @@ let allRepositories = [];
 let currentPlatformFilter = 'all';
 let currentSearchQuery = '';
 
+// Connected accounts (without tokens), from the last status update
+let connectedAccounts = [];
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -77,6 +100,24 @@ async function sendMessage(message) {
   return chrome.runtime.sendMessage(message);
 }
 
+/**
+ * Get the settings key of a repository (account id + full name)
+ * @param {Object} repo - Repository object
+ * @returns {string} e.g. 'github:octocat@github.com:owner/repo'
+ */
+function getRepoKey(repo) {
+  return `${repo.accountId || repo.platform || 'github'}:${repo.full_name}`;
+}
+
+/**
+ * Get the display label of a connected account
+ * @param {string} accountId - Account id
+ * @returns {string} e.g. 'octocat@github.com'
+ */
+function getAccountLabel(accountId) {
+  return accountId ? accountId.slice(accountId.indexOf(':') + 1) : '';
+}
+
 /**
  * Show toast notification
  * @param {string} message - Message to display
@@ -92,6 +133,19 @@ function showToast(message, type = 'success') {
   }, 3000);
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Debounce function for search input
  * @param {Function} func - Function to debounce
@@ -166,29 +220,15 @@ async function initTheme() {
 // =============================================================================
 
 /**
- * Update authentication status display for both platforms
+ * Render the connected accounts of a platform
+ * The token form stays visible so further accounts can be added
+ * 
+ * @param {HTMLElement} container - Status container of the platform
+ * @param {Array} accounts - Connected accounts of the platform
  */
-async function updateAuthStatus() {
-  const status = await sendMessage({ action: 'getStatus' });
-  
-  // Update GitHub auth status
-  if (status.githubAuthenticated && status.user) {
-    elements.githubAuthStatus.innerHTML = `
-      <div class="auth-connected">
-        <img src="${status.user.avatar_url}" alt="Avatar" class="avatar" />
-        <div class="auth-info">
-          <strong>${status.user.login}</strong>
-          <span class="auth-email">${status.user.email || 'Connected to GitHub'}</span>
-        </div>
-        <button id="disconnect-github-btn" class="btn btn-secondary btn-small">Disconnect</button>
-      </div>
-    `;
-    elements.githubAuthForm.classList.add('hidden');
-    
-    // Add disconnect handler
-    document.getElementById('disconnect-github-btn').addEventListener('click', handleDisconnectGitHub);
-  } else {
-    elements.githubAuthStatus.innerHTML = `
+function renderAccountList(container, accounts) {
+  if (accounts.length === 0) {
+    container.innerHTML = `
       <div class="auth-disconnected">
         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <circle cx="12" cy="12" r="10"/>
@@ -198,38 +238,37 @@ async function updateAuthStatus() {
         <span>Not connected</span>
       </div>
     `;
-    elements.githubAuthForm.classList.remove('hidden');
+    return;
   }
   
-  // Update GitLab auth status
-  if (status.gitlabAuthenticated && status.gitlabUser) {
-    elements.gitlabAuthStatus.innerHTML = `
-      <div class="auth-connected">
-        <img src="${status.gitlabUser.avatar_url || '../icons/gitlab-default.png'}" alt="Avatar" class="avatar" />
-        <div class="auth-info">
-          <strong>${status.gitlabUser.login}</strong>
-          <span class="auth-email">${status.gitlabUser.email || 'Connected to GitLab'}</span>
-        </div>
-        <button id="disconnect-gitlab-btn" class="btn btn-secondary btn-small">Disconnect</button>
+  container.innerHTML = accounts.map(account => `
+    <div class="auth-connected">
+      <img src="${account.user?.avatar_url || '../icons/icon48.png'}" alt="Avatar" class="avatar" />
+      <div class="auth-info">
+        <strong>${account.user?.login || 'Unknown'}</strong>
+        <span class="auth-email">${account.user?.email || `Connected to ${new URL(account.instanceUrl).host}`}</span>
       </div>
-    `;
-    elements.gitlabAuthForm.classList.add('hidden');
-    
-    // Add disconnect handler
-    document.getElementById('disconnect-gitlab-btn').addEventListener('click', handleDisconnectGitLab);
-  } else {
-    elements.gitlabAuthStatus.innerHTML = `
-      <div class="auth-disconnected">
-        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <circle cx="12" cy="12" r="10"/>
-          <line x1="15" y1="9" x2="9" y2="15"/>
-          <line x1="9" y1="9" x2="15" y2="15"/>
-        </svg>
-        <span>Not connected</span>
-      </div>
-    `;
-    elements.gitlabAuthForm.classList.remove('hidden');
-  }
+      <button class="btn btn-secondary btn-small disconnect-account-btn" data-account-id="${account.id}">Disconnect</button>
+    </div>
+  `).join('') + `<p class="help-text add-account-hint">Add another account:</p>`;
+  
+  container.querySelectorAll('.disconnect-account-btn').forEach(btn => {
+    btn.addEventListener('click', () => handleDisconnectAccount(btn.dataset.accountId));
+  });
+}
+
+/**
+ * Update authentication status display for both platforms
+ */
+async function updateAuthStatus() {
+  const status = await sendMessage({ action: 'getStatus' });
+  const accounts = status.accounts || [];
+  
+  renderAccountList(elements.githubAuthStatus, accounts.filter(account => account.platform === 'github'));
+  renderAccountList(elements.gitlabAuthStatus, accounts.filter(account => account.platform === 'gitlab'));
+  
+  // Remember the accounts to label repositories when several are connected
+  connectedAccounts = accounts;
   
   // Load repositories if at least one platform is connected
   if (status.githubAuthenticated || status.gitlabAuthenticated) {
@@ -237,6 +276,63 @@ async function updateAuthStatus() {
   }
 }
 
+/**
+ * Public instances and the token creation page paths of each platform
+ */
+const PLATFORM_INSTANCES = {
+  github: {
+    defaultUrl: 'https://github.com',
+    tokenPath: '/settings/tokens/new?scopes=repo,read:user,notifications&description=Commit%20Watch%20Extension'
+  },
+  gitlab: {
+    defaultUrl: 'https://gitlab.com',
+    tokenPath: '/-/user_settings/personal_access_tokens?name=Commit+Watch+Extension&scopes=read_api,read_user,read_repository'
+  }
+};
+
+/**
+ * Parse the server URL entered for a platform
+ * @param {string} platform - 'github' or 'gitlab'
+ * @param {string} value - Input value (empty for the public instance)
+ * @returns {string|null} Normalized instance URL, '' for the public instance, null if invalid
+ */
+function parseInstanceUrl(platform, value) {
+  if (!value.trim()) return '';
+  
+  try {
+    const parsed = new URL(value.trim());
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+    const url = `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+    return url === PLATFORM_INSTANCES[platform].defaultUrl ? '' : url;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Request access to a self-hosted instance
+ * Must run within the click that saves the token (user gesture)
+ * 
+ * @param {string} instanceUrl - Normalized instance URL ('' for the public instance)
+ * @returns {Promise<boolean>} Whether the extension may reach the instance
+ */
+async function requestInstancePermission(instanceUrl) {
+  if (!instanceUrl) return true;
+  return chrome.permissions.request({ origins: [`${new URL(instanceUrl).origin}/*`] });
+}
+
+/**
+ * Point the "Generate Token" link at the instance entered for a platform
+ * @param {string} platform - 'github' or 'gitlab'
+ */
+function updateGenerateTokenLink(platform) {
+  const input = platform === 'gitlab' ? elements.gitlabInstanceInput : elements.githubInstanceInput;
+  const link = platform === 'gitlab' ? elements.gitlabGenerateTokenLink : elements.githubGenerateTokenLink;
+  const instanceUrl = parseInstanceUrl(platform, input.value) || PLATFORM_INSTANCES[platform].defaultUrl;
+  
+  link.href = `${instanceUrl}${PLATFORM_INSTANCES[platform].tokenPath}`;
+}
+
 /**
  * Handle save GitHub token button click
  */
@@ -254,13 +350,25 @@ async function handleSaveGitHubToken() {
     return;
   }
   
+  const instanceUrl = parseInstanceUrl('github', elements.githubInstanceInput.value);
+  if (instanceUrl === null) {
+    showToast('Invalid server URL', 'error');
+    return;
+  }
+  
+  if (!(await requestInstancePermission(instanceUrl))) {
+    showToast('Access to the server was not granted', 'error');
+    return;
+  }
+  
   elements.saveGithubTokenBtn.disabled = true;
   elements.saveGithubTokenBtn.innerHTML = 'Saving...';
   
   try {
     const response = await sendMessage({
       action: 'authenticateGitHub',
-      token: token
+      token: token,
+      instanceUrl
     });
     
     if (response.success) {
@@ -304,13 +412,25 @@ async function handleSaveGitLabToken() {
     return;
   }
   
+  const instanceUrl = parseInstanceUrl('gitlab', elements.gitlabInstanceInput.value);
+  if (instanceUrl === null) {
+    showToast('Invalid server URL', 'error');
+    return;
+  }
+  
+  if (!(await requestInstancePermission(instanceUrl))) {
+    showToast('Access to the server was not granted', 'error');
+    return;
+  }
+  
   elements.saveGitlabTokenBtn.disabled = true;
   elements.saveGitlabTokenBtn.innerHTML = 'Saving...';
   
   try {
     const response = await sendMessage({
       action: 'authenticateGitLab',
-      token: token
+      token: token,
+      instanceUrl
     });
     
     if (response.success) {
@@ -343,6 +463,20 @@ async function handleSaveToken() {
   return handleSaveGitHubToken();
 }
 
+/**
+ * Handle disconnect button click of a single account
+ * @param {string} accountId - Account id
+ */
+async function handleDisconnectAccount(accountId) {
+  try {
+    await sendMessage({ action: 'removeAccount', accountId });
+    showToast(`Disconnected ${accountId}`, 'info');
+    await updateAuthStatus();
+  } catch (error) {
+    showToast('Failed to disconnect', 'error');
+  }
+}
+
 /**
  * Handle GitHub disconnect button click
  */
@@ -415,8 +549,15 @@ async function loadSettings() {
       elements.notificationsEnabled.checked = settings.notificationsEnabled !== false;
       elements.releaseNotifications.checked = settings.releaseNotificationsEnabled !== false;
       elements.checkInterval.value = settings.checkInterval || 5;
+      elements.githubPollingMode.value = settings.githubPollingMode || 'rest';
+      elements.pollingMode.value = settings.pollingMode || 'full';
+      elements.adaptivePolling.checked = settings.adaptivePolling !== false;
       elements.ignoreForks.checked = settings.ignoreForks !== false;
       elements.ignoreOwn.checked = settings.ignoreOwnCommits === true;
+      elements.botCommits.value = settings.botCommits || 'notify';
+      elements.codeOwnersPriority.checked = settings.codeOwnersPriority !== false;
+      elements.secretScanning.checked = settings.secretScanning !== false;
+      elements.dependencyAnalysis.checked = settings.dependencyAnalysis !== false;
     }
   } catch (error) {
     console.error('Failed to load settings:', error);
@@ -504,6 +645,64 @@ function filterRepositories(repos) {
   return filtered;
 }
 
+/**
+ * Per-repository check interval overrides offered in the repository list (minutes)
+ */
+const REPO_INTERVAL_OPTIONS = [
+  { value: '', label: 'Auto' },
+  { value: 15, label: 'Every 15 min' },
+  { value: 60, label: 'Hourly' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 1440, label: 'Daily' }
+];
+
+/**
+ * Release channels a repository can notify on (default: stable and pre-release)
+ */
+const RELEASE_CHANNEL_OPTIONS = [
+  { value: 'stable', label: 'Stable', default: true },
+  { value: 'prerelease', label: 'Pre-releases', default: true },
+  { value: 'draft', label: 'Drafts', default: false }
+];
+
+/**
+ * Per-repository release level thresholds (downgrades count as patch, retags always notify)
+ */
+const RELEASE_THRESHOLD_OPTIONS = [
+  { value: '', label: 'All versions' },
+  { value: 'patch', label: 'Patch or higher' },
+  { value: 'minor', label: 'Minor or higher' },
+  { value: 'major', label: 'Major only' }
+];
+
+/**
+ * Format a check interval for display
+ * @param {number} minutes - Interval in minutes
+ * @returns {string}
+ */
+function formatInterval(minutes) {
+  if (minutes >= 1440 && minutes % 1440 === 0) {
+    return minutes === 1440 ? 'daily' : `every ${minutes / 1440} days`;
+  }
+  if (minutes >= 60 && minutes % 60 === 0) {
+    return minutes === 60 ? 'hourly' : `every ${minutes / 60} hours`;
+  }
+  return `every ${minutes} min`;
+}
+
+/**
+ * Format the time until a repository's next check
+ * @param {number} timestamp - Next check time
+ * @returns {string}
+ */
+function formatNextCheck(timestamp) {
+  const minutes = Math.round((timestamp - Date.now()) / 60000);
+  if (minutes <= 0) return 'next cycle';
+  if (minutes < 60) return `in ${minutes} min`;
+  if (minutes < 1440) return `in ${Math.round(minutes / 60)} h`;
+  return `in ${Math.round(minutes / 1440)} d`;
+}
+
 /**
  * Render repository list
  * @param {Array} repos - Repositories to render (will be filtered)
@@ -549,18 +748,29 @@ async function renderRepositories(repos) {
   // Get current settings to check enabled status
   const response = await sendMessage({ action: 'getSettings' });
   const enabledRepos = response.settings?.enabledRepos || {};
+  const repoBranches = response.settings?.repoBranches || {};
+  const repoIntervals = response.settings?.repoIntervals || {};
+  const signedCommitRepos = response.settings?.signedCommitRepos || {};
+  const releaseChannels = response.settings?.releaseChannels || {};
+  const releaseThresholds = response.settings?.releaseThresholds || {};
+  const { schedule = {} } = await sendMessage({ action: 'getRepoSchedule' });
   
   const repoHtml = filteredRepos.map(repo => {
-    // Use platform-specific key for enabled status
+    // Use account-specific key for enabled status
     const platform = repo.platform || 'github';
-    const repoKey = `${platform}:${repo.full_name}`;
+    const repoKey = getRepoKey(repo);
     // Check both old and new key formats for backwards compatibility
     const isEnabled = enabledRepos[repoKey] !== false && enabledRepos[repo.full_name] !== false;
+    const branchPatterns = (repoBranches[repoKey] || []).join(', ');
+    const repoSchedule = schedule[repoKey];
+    const intervalOverride = repoIntervals[repoKey] || '';
+    const requireSigned = !!signedCommitRepos[repoKey];
+    const notifiedChannels = releaseChannels[repoKey] ||
+      RELEASE_CHANNEL_OPTIONS.filter(option => option.default).map(option => option.value);
+    const releaseThreshold = releaseThresholds[repoKey] || '';
     
-    // Generate platform-specific URL
-    const repoUrl = platform === 'gitlab' 
-      ? `https://gitlab.com/${repo.full_name}` 
-      : `https://github.com/${repo.full_name}`;
+    // Repository page on its instance (github.com, gitlab.com or self-hosted)
+    const repoUrl = repo.html_url;
     
     // Platform icon
     const platformIcon = platform === 'gitlab' 
@@ -590,9 +800,47 @@ async function renderRepositories(repos) {
           </div>
           <div class="repo-meta">
             <span class="repo-tag platform-tag ${platform}">${platform === 'gitlab' ? 'GitLab' : 'GitHub'}</span>
+            ${connectedAccounts.length > 1 ? `<span class="repo-tag repo-account" title="${repo.accountId}">${getAccountLabel(repo.accountId)}</span>` : ''}
+            ${repo.watchOnly ? '<span class="repo-tag watch-only-tag" title="Added by URL - you are not a member">Watch-only</span>' : ''}
             ${repo.fork ? '<span class="repo-tag">Fork</span>' : ''}
             ${repo.language ? `<span class="repo-lang">${repo.language}</span>` : ''}
             <span class="repo-branch">${repo.default_branch}</span>
+            ${repo.watchOnly ? `<button class="btn btn-secondary btn-small repo-unwatch-btn" data-repo="${repoKey}">Stop watching</button>` : ''}
+          </div>
+          <div class="repo-branches">
+            <input type="text" class="repo-branches-input" data-repo="${repoKey}" 
+                   value="${escapeHtml(branchPatterns)}" placeholder="Branches to watch (default: ${escapeHtml(repo.default_branch)}), e.g. main, release/*" />
+          </div>
+          <div class="repo-schedule">
+            <span class="repo-schedule-info">
+              ${repoSchedule 
+                ? `Checked ${formatInterval(repoSchedule.interval)} · next check ${formatNextCheck(repoSchedule.nextCheck)}` 
+                : ''}
+            </span>
+            <select class="select repo-interval-select" data-repo="${repoKey}">
+              ${REPO_INTERVAL_OPTIONS.map(option => `
+                <option value="${option.value}" ${String(option.value) === String(intervalOverride) ? 'selected' : ''}>${option.label}</option>
+              `).join('')}
+            </select>
+          </div>
+          <label class="repo-signatures" title="Alert when an unsigned or unverified commit lands on a watched branch">
+            <input type="checkbox" class="repo-signed-toggle" data-repo="${repoKey}" ${requireSigned ? 'checked' : ''} />
+            Require signed commits
+          </label>
+          <div class="repo-release-channels" title="Release channels to notify on">
+            <span>Releases:</span>
+            ${RELEASE_CHANNEL_OPTIONS.map(option => `
+              <label>
+                <input type="checkbox" class="repo-channel-toggle" data-repo="${repoKey}" value="${option.value}" 
+                       ${notifiedChannels.includes(option.value) ? 'checked' : ''} />
+                ${option.label}
+              </label>
+            `).join('')}
+            <select class="select repo-threshold-select" data-repo="${repoKey}" title="Lowest semver level to notify on">
+              ${RELEASE_THRESHOLD_OPTIONS.map(option => `
+                <option value="${option.value}" ${option.value === releaseThreshold ? 'selected' : ''}>${option.label}</option>
+              `).join('')}
+            </select>
           </div>
         </div>
         <label class="toggle">
@@ -609,6 +857,36 @@ async function renderRepositories(repos) {
   document.querySelectorAll('.repo-toggle').forEach(toggle => {
     toggle.addEventListener('change', handleRepoToggle);
   });
+  
+  // Add event listeners to branch pattern inputs
+  document.querySelectorAll('.repo-branches-input').forEach(input => {
+    input.addEventListener('change', handleRepoBranchesChange);
+  });
+  
+  // Add event listeners to check interval overrides
+  document.querySelectorAll('.repo-interval-select').forEach(select => {
+    select.addEventListener('change', handleRepoIntervalChange);
+  });
+  
+  // Add event listeners to signed-commit policies
+  document.querySelectorAll('.repo-signed-toggle').forEach(toggle => {
+    toggle.addEventListener('change', handleRepoSignaturePolicyChange);
+  });
+  
+  // Add event listeners to release channel choices
+  document.querySelectorAll('.repo-channel-toggle').forEach(toggle => {
+    toggle.addEventListener('change', handleRepoReleaseChannelsChange);
+  });
+  
+  // Add event listeners to release thresholds
+  document.querySelectorAll('.repo-threshold-select').forEach(select => {
+    select.addEventListener('change', handleRepoReleaseThresholdChange);
+  });
+  
+  // Add event listeners to watch-only removal buttons
+  document.querySelectorAll('.repo-unwatch-btn').forEach(btn => {
+    btn.addEventListener('click', handleUnwatchRepo);
+  });
 }
 
 /**
@@ -661,6 +939,177 @@ async function handleRepoToggle(event) {
   }
 }
 
+/**
+ * Handle change of a repository's watched branch list
+ * Accepts comma-separated branch names or glob patterns (e.g. "main, release/*")
+ * @param {Event} event - Change event
+ */
+async function handleRepoBranchesChange(event) {
+  const repoKey = event.target.dataset.repo;
+  const patterns = event.target.value
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+  
+  try {
+    // Get current branch settings
+    const response = await sendMessage({ action: 'getSettings' });
+    const repoBranches = response.settings?.repoBranches || {};
+    
+    // Update (empty list falls back to the default branch)
+    if (patterns.length > 0) {
+      repoBranches[repoKey] = patterns;
+    } else {
+      delete repoBranches[repoKey];
+    }
+    
+    await sendMessage({
+      action: 'updateSettings',
+      settings: { repoBranches }
+    });
+    
+    event.target.value = patterns.join(', ');
+    showToast('Watched branches saved', 'success');
+  } catch (error) {
+    console.error('Failed to update branch setting:', error);
+    showToast('Failed to save', 'error');
+  }
+}
+
+/**
+ * Handle per-repository check interval override change
+ * @param {Event} event - Change event
+ */
+async function handleRepoIntervalChange(event) {
+  const repoKey = event.target.dataset.repo;
+  const minutes = parseInt(event.target.value);
+  
+  try {
+    // Get current interval overrides
+    const response = await sendMessage({ action: 'getSettings' });
+    const repoIntervals = response.settings?.repoIntervals || {};
+    
+    // Update ('Auto' removes the override)
+    if (minutes) {
+      repoIntervals[repoKey] = minutes;
+    } else {
+      delete repoIntervals[repoKey];
+    }
+    
+    await sendMessage({
+      action: 'updateSettings',
+      settings: { repoIntervals }
+    });
+    
+    showToast('Check interval saved', 'success');
+    await renderRepositories(allRepositories);
+  } catch (error) {
+    console.error('Failed to update check interval:', error);
+    showToast('Failed to save', 'error');
+  }
+}
+
+/**
+ * Handle per-repository signed-commit policy change
+ * @param {Event} event - Change event
+ */
+async function handleRepoSignaturePolicyChange(event) {
+  const repoKey = event.target.dataset.repo;
+  const requireSigned = event.target.checked;
+  
+  try {
+    // Get current policies
+    const response = await sendMessage({ action: 'getSettings' });
+    const signedCommitRepos = response.settings?.signedCommitRepos || {};
+    
+    // Update (unchecked removes the policy)
+    if (requireSigned) {
+      signedCommitRepos[repoKey] = true;
+    } else {
+      delete signedCommitRepos[repoKey];
+    }
+    
+    await sendMessage({
+      action: 'updateSettings',
+      settings: { signedCommitRepos }
+    });
+    
+    showToast(requireSigned ? 'Unsigned commits will raise an alert' : 'Signed-commit policy removed', 'success');
+  } catch (error) {
+    console.error('Failed to update signed-commit policy:', error);
+    event.target.checked = !requireSigned;
+    showToast('Failed to save', 'error');
+  }
+}
+
+/**
+ * Handle per-repository release channel change
+ * @param {Event} event - Change event
+ */
+async function handleRepoReleaseChannelsChange(event) {
+  const repoKey = event.target.dataset.repo;
+  const channels = [...document.querySelectorAll('.repo-channel-toggle')]
+    .filter(toggle => toggle.dataset.repo === repoKey && toggle.checked)
+    .map(toggle => toggle.value);
+  const isDefault = RELEASE_CHANNEL_OPTIONS.every(option => option.default === channels.includes(option.value));
+  
+  try {
+    // Get current channels
+    const response = await sendMessage({ action: 'getSettings' });
+    const releaseChannels = response.settings?.releaseChannels || {};
+    
+    // Update (the default choice removes the override)
+    if (isDefault) {
+      delete releaseChannels[repoKey];
+    } else {
+      releaseChannels[repoKey] = channels;
+    }
+    
+    await sendMessage({
+      action: 'updateSettings',
+      settings: { releaseChannels }
+    });
+    
+    showToast(channels.length > 0 ? 'Release channels saved' : 'Release notifications muted for this repository', 'success');
+  } catch (error) {
+    console.error('Failed to update release channels:', error);
+    event.target.checked = !event.target.checked;
+    showToast('Failed to save', 'error');
+  }
+}
+
+/**
+ * Handle per-repository release threshold change
+ * @param {Event} event - Change event
+ */
+async function handleRepoReleaseThresholdChange(event) {
+  const repoKey = event.target.dataset.repo;
+  const threshold = event.target.value;
+  
+  try {
+    // Get current thresholds
+    const response = await sendMessage({ action: 'getSettings' });
+    const releaseThresholds = response.settings?.releaseThresholds || {};
+    
+    // Update ('All versions' removes the threshold)
+    if (threshold) {
+      releaseThresholds[repoKey] = threshold;
+    } else {
+      delete releaseThresholds[repoKey];
+    }
+    
+    await sendMessage({
+      action: 'updateSettings',
+      settings: { releaseThresholds }
+    });
+    
+    showToast('Release threshold saved', 'success');
+  } catch (error) {
+    console.error('Failed to update release threshold:', error);
+    showToast('Failed to save', 'error');
+  }
+}
+
 /**
  * Handle refresh repositories button
  */
@@ -675,8 +1124,8 @@ async function handleRefreshRepos() {
   `;
   
   try {
-    // Clear cached repos
-    await chrome.storage.local.remove(['repositories', 'repositoriesUpdated']);
+    // Clear cached repos of every account
+    await sendMessage({ action: 'refreshRepositories' });
     await loadRepositories();
     showToast('Repositories refreshed', 'success');
   } catch (error) {
@@ -693,6 +1142,56 @@ async function handleRefreshRepos() {
   }
 }
 
+/**
+ * Handle watch button click: add a repository the user is not a member of
+ */
+async function handleWatchRepo() {
+  const reference = elements.watchRepoInput.value.trim();
+  
+  if (!reference) {
+    showToast('Enter a repository URL or owner/name', 'error');
+    return;
+  }
+  
+  elements.watchRepoBtn.disabled = true;
+  
+  try {
+    const response = await sendMessage({
+      action: 'addWatchedRepo',
+      reference,
+      platform: elements.watchRepoPlatform.value
+    });
+    
+    if (response.success) {
+      elements.watchRepoInput.value = '';
+      showToast(`Watching ${response.repository.full_name}`, 'success');
+      await loadRepositories();
+    } else {
+      showToast(response.error || 'Failed to add repository', 'error');
+    }
+  } catch (error) {
+    showToast('Failed to add repository', 'error');
+  } finally {
+    elements.watchRepoBtn.disabled = false;
+  }
+}
+
+/**
+ * Handle stop watching button click of a watch-only repository
+ * @param {Event} event - Click event
+ */
+async function handleUnwatchRepo(event) {
+  const repoKey = event.target.dataset.repo;
+  
+  try {
+    await sendMessage({ action: 'removeWatchedRepo', repoKey });
+    showToast('Stopped watching repository', 'info');
+    await loadRepositories();
+  } catch (error) {
+    showToast('Failed to update', 'error');
+  }
+}
+
 /**
  * Handle repository search
  */
@@ -707,7 +1206,7 @@ const handleRepoSearch = debounce((event) => {
 async function handleEnableAll() {
   const enabledRepos = {};
   allRepositories.forEach(repo => {
-    enabledRepos[repo.full_name] = true;
+    enabledRepos[getRepoKey(repo)] = true;
   });
   
   try {
@@ -732,7 +1231,7 @@ async function handleEnableAll() {
 async function handleDisableAll() {
   const enabledRepos = {};
   allRepositories.forEach(repo => {
-    enabledRepos[repo.full_name] = false;
+    enabledRepos[getRepoKey(repo)] = false;
   });
   
   try {
@@ -751,6 +1250,65 @@ async function handleDisableAll() {
   }
 }
 
+// =============================================================================
+// CLASSIFICATION RULES
+// =============================================================================
+
+/**
+ * Load the active classification rules into the editor
+ */
+async function loadClassificationRules() {
+  try {
+    const response = await sendMessage({ action: 'getClassificationRules' });
+    
+    if (response.success) {
+      elements.rulesEditor.value = JSON.stringify(response.rules, null, 2);
+      elements.rulesStatus.textContent = response.isDefault ? '(built-in defaults)' : '(customized)';
+    }
+  } catch (error) {
+    console.error('Failed to load classification rules:', error);
+  }
+}
+
+/**
+ * Validate and save the edited classification rules
+ */
+async function handleSaveRules() {
+  let rules;
+  try {
+    rules = JSON.parse(elements.rulesEditor.value);
+  } catch (error) {
+    showToast(`Invalid JSON: ${error.message}`, 'error');
+    return;
+  }
+  
+  try {
+    const response = await sendMessage({ action: 'saveClassificationRules', rules });
+    
+    if (response.success) {
+      showToast('Classification rules saved', 'success');
+      await loadClassificationRules();
+    } else {
+      showToast(response.error || 'Failed to save rules', 'error');
+    }
+  } catch (error) {
+    showToast('Failed to save rules', 'error');
+  }
+}
+
+/**
+ * Restore the built-in classification rules
+ */
+async function handleResetRules() {
+  try {
+    await sendMessage({ action: 'resetClassificationRules' });
+    showToast('Classification rules reset', 'info');
+    await loadClassificationRules();
+  } catch (error) {
+    showToast('Failed to reset rules', 'error');
+  }
+}
+
 // =============================================================================
 // EVENT LISTENERS
 // =============================================================================
@@ -765,6 +1323,7 @@ function initEventListeners() {
   elements.tokenInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleSaveToken();
   });
+  elements.githubInstanceInput.addEventListener('input', () => updateGenerateTokenLink('github'));
   
   // Auth - GitLab
   elements.saveGitlabTokenBtn.addEventListener('click', handleSaveGitLabToken);
@@ -772,6 +1331,7 @@ function initEventListeners() {
   elements.gitlabTokenInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleSaveGitLabToken();
   });
+  elements.gitlabInstanceInput.addEventListener('input', () => updateGenerateTokenLink('gitlab'));
   
   // Settings
   elements.notificationsEnabled.addEventListener('change', (e) => {
@@ -786,6 +1346,19 @@ function initEventListeners() {
     saveSetting('checkInterval', parseInt(e.target.value));
   });
   
+  elements.githubPollingMode.addEventListener('change', (e) => {
+    saveSetting('githubPollingMode', e.target.value);
+  });
+  
+  elements.pollingMode.addEventListener('change', (e) => {
+    saveSetting('pollingMode', e.target.value);
+  });
+  
+  elements.adaptivePolling.addEventListener('change', async (e) => {
+    await saveSetting('adaptivePolling', e.target.checked);
+    await renderRepositories(allRepositories);
+  });
+  
   elements.ignoreForks.addEventListener('change', (e) => {
     saveSetting('ignoreForks', e.target.checked);
   });
@@ -794,11 +1367,35 @@ function initEventListeners() {
     saveSetting('ignoreOwnCommits', e.target.checked);
   });
   
+  elements.botCommits.addEventListener('change', (e) => {
+    saveSetting('botCommits', e.target.value);
+  });
+  
+  elements.codeOwnersPriority.addEventListener('change', (e) => {
+    saveSetting('codeOwnersPriority', e.target.checked);
+  });
+  
+  elements.secretScanning.addEventListener('change', (e) => {
+    saveSetting('secretScanning', e.target.checked);
+  });
+  
+  elements.dependencyAnalysis.addEventListener('change', (e) => {
+    saveSetting('dependencyAnalysis', e.target.checked);
+  });
+  
   // Repositories
   elements.refreshReposBtn.addEventListener('click', handleRefreshRepos);
   elements.repoSearch.addEventListener('input', handleRepoSearch);
   elements.enableAllBtn.addEventListener('click', handleEnableAll);
   elements.disableAllBtn.addEventListener('click', handleDisableAll);
+  elements.watchRepoBtn.addEventListener('click', handleWatchRepo);
+  elements.watchRepoInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') handleWatchRepo();
+  });
+  
+  // Classification rules
+  elements.saveRulesBtn.addEventListener('click', handleSaveRules);
+  elements.resetRulesBtn.addEventListener('click', handleResetRules);
   
   // Platform filter buttons
   const filterButtons = document.querySelectorAll('.filter-btn');
@@ -824,6 +1421,7 @@ async function init() {
   initEventListeners();
   await updateAuthStatus();
   await loadSettings();
+  await loadClassificationRules();
 }
 
 // Run initialization when DOM is ready
@@ -55,7 +55,15 @@ const elements = {
   checkNowBtn: document.getElementById('check-now-btn'),
   lastCheckTime: document.getElementById('last-check-time'),
   activityList: document.getElementById('activity-list'),
-  filterButtons: document.querySelectorAll('.filter-btn')
+  filterButtons: document.querySelectorAll('.filter-btn'),
+  
+  // Release details view
+  releaseView: document.getElementById('release-view'),
+  releaseBackBtn: document.getElementById('release-back-btn'),
+  releaseViewRepo: document.getElementById('release-view-repo'),
+  releaseViewName: document.getElementById('release-view-name'),
+  releaseViewLink: document.getElementById('release-view-link'),
+  releaseNotes: document.getElementById('release-notes')
 };
 
 // =============================================================================
@@ -64,11 +72,12 @@ const elements = {
 
 /**
  * Show a specific view and hide others
- * @param {string} viewName - 'login', 'main', or 'loading'
+ * @param {string} viewName - 'login', 'main', 'release', or 'loading'
  */
 function showView(viewName) {
   elements.loginView.classList.add('hidden');
   elements.mainView.classList.add('hidden');
+  elements.releaseView.classList.add('hidden');
   elements.loading.classList.add('hidden');
   
   switch (viewName) {
@@ -78,6 +87,9 @@ function showView(viewName) {
     case 'main':
       elements.mainView.classList.remove('hidden');
       break;
+    case 'release':
+      elements.releaseView.classList.remove('hidden');
+      break;
     case 'loading':
       elements.loading.classList.remove('hidden');
       break;
@@ -186,6 +198,162 @@ function truncate(text, maxLength) {
   return text.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// =============================================================================
+// MARKDOWN RENDERING
+// =============================================================================
+
+/**
+ * Render inline Markdown (code, links, emphasis) as safe HTML
+ * Only http(s) and mailto links are kept; everything else is escaped.
+ * 
+ * @param {string} text - Markdown text of a single line
+ * @returns {string} HTML
+ */
+function renderMarkdownInline(text) {
+  // Rendered fragments are set aside so later replacements cannot touch them
+  const fragments = [];
+  const keep = (html) => `\u0000${fragments.push(html) - 1}\u0000`;
+  const link = (label, url) => /^(https?:|mailto:)/i.test(url)
+    ? keep(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`)
+    : label;
+  
+  let html = text
+    .replace(/\u0000/g, '')
+    .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${escapeHtml(code)}</code>`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, alt, url) => link(escapeHtml(alt || url), url))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, url) => link(escapeHtml(label), url))
+    .replace(/https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"]/g, url => link(escapeHtml(url), url));
+  
+  html = escapeHtml(html)
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => fragments[index]);
+}
+
+/**
+ * Render release notes Markdown as safe HTML
+ * Supports headings, paragraphs, lists (nested, task lists), block quotes,
+ * rules, fenced code and inline formatting; raw HTML is shown as text.
+ * 
+ * @param {string} markdown - Markdown text
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  const blocks = [];
+  const lists = [];
+  let paragraph = [];
+  
+  const closeParagraph = () => {
+    if (paragraph.length === 0) return;
+    blocks.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const closeLists = (indent = -1) => {
+    while (lists.length > 0 && lists[lists.length - 1].indent > indent) {
+      blocks.push(`</li></${lists.pop().tag}>`);
+    }
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    const fence = line.match(/^\s*(```|~~~)/);
+    if (fence) {
+      closeParagraph();
+      closeLists();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    
+    if (!line.trim()) {
+      closeParagraph();
+      continue;
+    }
+    
+    const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      closeParagraph();
+      closeLists();
+      // Release titles are already shown above the notes, so headings start at h3
+      const level = Math.min(heading[1].length + 2, 6);
+      blocks.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+      continue;
+    }
+    
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      closeParagraph();
+      closeLists();
+      blocks.push('<hr>');
+      continue;
+    }
+    
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      closeParagraph();
+      closeLists();
+      blocks.push(`<blockquote>${renderMarkdownInline(quote[1])}</blockquote>`);
+      continue;
+    }
+    
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      closeParagraph();
+      const indent = item[1].replace(/\t/g, '  ').length;
+      const tag = /\d/.test(item[2]) ? 'ol' : 'ul';
+      closeLists(indent);
+      
+      const current = lists[lists.length - 1];
+      if (current && current.indent === indent && current.tag !== tag) {
+        closeLists(indent - 1);
+      }
+      if (!lists.length || lists[lists.length - 1].indent < indent) {
+        lists.push({ indent, tag });
+        blocks.push(`<${tag}><li>`);
+      } else {
+        blocks.push('</li><li>');
+      }
+      
+      const text = item[3].replace(/^\[([ xX])\]\s+/, (match, checked) => checked === ' ' ? '☐ ' : '☑ ');
+      blocks.push(renderMarkdownInline(text));
+      continue;
+    }
+    
+    // Lines indented below a list item continue it
+    if (lists.length > 0 && /^\s+/.test(line)) {
+      blocks.push(`<br>${renderMarkdownInline(line.trim())}`);
+      continue;
+    }
+    
+    closeLists();
+    paragraph.push(line.trim());
+  }
+  
+  closeParagraph();
+  closeLists();
+  return blocks.join('');
+}
+
 // =============================================================================
 // API COMMUNICATION
 // =============================================================================
@@ -216,14 +384,18 @@ async function updateMainView() {
       return;
     }
     
-    // Update user info - show connected platforms
-    const userNames = [];
+    // Update user info - show every connected account
+    connectedAccounts = status.accounts || [];
+    const loginsOf = platform => connectedAccounts
+      .filter(account => account.platform === platform)
+      .map(account => account.user?.login)
+      .filter(Boolean);
+    const userNames = [...new Set([...loginsOf('github'), ...loginsOf('gitlab')])];
     
     if (status.user) {
       elements.userAvatar.src = status.user.avatar_url;
       elements.userAvatar.classList.remove('hidden');
-      elements.userAvatar.title = `GitHub: ${status.user.login}`;
-      userNames.push(status.user.login);
+      elements.userAvatar.title = `GitHub: ${loginsOf('github').join(', ')}`;
     } else {
       elements.userAvatar.classList.add('hidden');
     }
@@ -231,10 +403,7 @@ async function updateMainView() {
     if (status.gitlabUser) {
       elements.gitlabUserAvatar.src = status.gitlabUser.avatar_url || '../icons/gitlab-default.png';
       elements.gitlabUserAvatar.classList.remove('hidden');
-      elements.gitlabUserAvatar.title = `GitLab: ${status.gitlabUser.login}`;
-      if (!userNames.includes(status.gitlabUser.login)) {
-        userNames.push(status.gitlabUser.login);
-      }
+      elements.gitlabUserAvatar.title = `GitLab: ${loginsOf('gitlab').join(', ')}`;
     } else {
       elements.gitlabUserAvatar.classList.add('hidden');
     }
@@ -283,6 +452,9 @@ async function updateMainView() {
 let currentPlatformFilter = 'all';
 let activityData = [];
 
+// Connected accounts (without tokens), from the last status update
+let connectedAccounts = [];
+
 /**
  * Get the current platform filter from storage
  */
@@ -300,6 +472,92 @@ async function setPlatformFilter(platform) {
   renderActivityList();
 }
 
+/**
+ * Get the platform of an activity item
+ * Older history entries have no platform - detect it from the URL
+ * (GitLab web URLs, self-managed ones included, use '/-/' routes)
+ */
+function getItemPlatform(item) {
+  if (item.platform) {
+    return item.platform;
+  }
+  if (item.url && (item.url.includes('gitlab.com') || item.url.includes('/-/'))) {
+    return 'gitlab';
+  }
+  return 'github';
+}
+
+/**
+ * Get the "seen through" label of an activity item
+ * Only shown when several accounts are connected
+ */
+function getItemAccountBadge(item) {
+  const account = connectedAccounts.find(a => a.id === item.account);
+  if (connectedAccounts.length < 2 || !account) {
+    return '';
+  }
+  const login = account.user?.login || account.id;
+  return `<span class="account-badge" title="Seen through ${account.id}">via ${login}</span>`;
+}
+
+/**
+ * Build the expandable "why?" section explaining a commit's priority
+ * @param {Object} item - Commit history item
+ * @returns {string} HTML (empty for items recorded without reasons)
+ */
+function getPriorityReasonsHtml(item) {
+  if (!item.reasons?.length) return '';
+  
+  const reasonsHtml = item.reasons.map(reason => `
+    <li>
+      <span class="why-effect">${escapeHtml(reason.effect)}</span>
+      <span class="why-rule">${escapeHtml(reason.description || reason.rule || '')}</span>
+      ${reason.evidence.length ? `<span class="why-evidence">${reason.evidence.map(escapeHtml).join(', ')}</span>` : ''}
+    </li>
+  `).join('');
+  
+  return `
+    <button type="button" class="why-toggle" title="Why this priority?">why?</button>
+    <ul class="why-list">${reasonsHtml}</ul>
+  `;
+}
+
+/**
+ * Build the dependency changes line of a commit item
+ * @param {Object} item - History item with dependencyChanges
+ * @returns {string} HTML
+ */
+function getDependencyChangesHtml(item) {
+  if (!item.dependencyChanges?.length) return '';
+  
+  const changes = item.dependencyChanges.map(change => {
+    if (change.change === 'added') return `+ ${change.name} ${change.to}`;
+    if (change.change === 'removed') return `- ${change.name}`;
+    const label = change.change === 'downgraded' ? 'downgrade' : change.level;
+    return `${change.name} ${change.from} → ${change.to}${label ? ` (${label})` : ''}`;
+  });
+  const major = item.dependencyChanges.some(change => change.change === 'upgraded' && change.level === 'major');
+  
+  return `
+    <div class="activity-dependencies${major ? ' major' : ''}" title="${escapeHtml(changes.join('\n'))}">
+      📦 ${escapeHtml(truncate(changes.join(', '), 60))}
+    </div>
+  `;
+}
+
+/**
+ * Build the signature badge of a commit item
+ * @param {Object|null} verification - { status, reason, signatureType }
+ * @returns {string} HTML (empty when the signature could not be read)
+ */
+function getSignatureBadgeHtml(verification) {
+  const labels = { verified: 'Verified', unverified: 'Unverified', unsigned: 'Unsigned' };
+  if (!labels[verification?.status]) return '';
+  
+  const details = [verification.signatureType, verification.reason].filter(Boolean).join(' · ');
+  return `<span class="signature-badge ${verification.status}" title="${escapeHtml(details)}">${labels[verification.status]}</span>`;
+}
+
 /**
  * Filter activity items by platform
  */
@@ -307,19 +565,7 @@ function filterActivityByPlatform(items, platform) {
   if (platform === 'all') {
     return items;
   }
-  return items.filter(item => {
-    // Determine platform from item
-    let itemPlatform = item.platform;
-    if (!itemPlatform && item.url) {
-      // Fallback: detect platform from URL
-      if (item.url.includes('gitlab.com')) {
-        itemPlatform = 'gitlab';
-      } else {
-        itemPlatform = 'github';
-      }
-    }
-    return itemPlatform === platform;
-  });
+  return items.filter(item => getItemPlatform(item) === platform);
 }
 
 /**
@@ -343,38 +589,131 @@ function renderActivityList() {
   // Build activity list HTML
   const activityHtml = displayItems.map(item => {
       // Platform badge - determine from stored platform or infer from URL
-      let platform = item.platform;
-      if (!platform) {
-        // Fallback: detect platform from URL
-        if (item.url && item.url.includes('gitlab.com')) {
-          platform = 'gitlab';
-        } else {
-          platform = 'github';
-        }
-      }
+      const platform = getItemPlatform(item);
       const platformBadge = platform === 'gitlab' 
         ? '<span class="platform-badge gitlab" title="GitLab">GitLab</span>'
         : '<span class="platform-badge github" title="GitHub">GitHub</span>';
+      const accountBadge = getItemAccountBadge(item);
       
       // Handle different notification types
-      if (item.type === 'release') {
-        // Release/Tag notification
-        const emoji = item.isTag ? '🏷️' : '🏷️';
-        const typeLabel = item.isTag ? 'Tag' : 'Release';
-        const prereleaseLabel = item.isPrerelease ? ' (Pre-release)' : '';
+      if (['release', 'tag', 'downgrade', 'retag'].includes(item.type)) {
+        // Release/Tag notification (downgrades and retags of a version included)
+        const emoji = { downgrade: '⏬', retag: '🔁' }[item.type] || '🏷️';
+        const typeLabel = { downgrade: 'Downgrade', retag: 'Retag' }[item.type] || (item.isTag ? 'Tag' : 'Release');
+        const prereleaseLabel = item.isDraft ? ' (Draft)' : (item.isPrerelease ? ' (Pre-release)' : '');
+        const levelBadge = ['major', 'minor', 'patch'].includes(item.releaseKind)
+          ? `<span class="release-level ${item.releaseKind}">${item.releaseKind}</span>`
+          : '';
+        const previousLabel = item.previousVersion && item.releaseKind !== 'retag'
+          ? ` · ${item.releaseKind === 'downgrade' ? 'latest' : 'from'} ${escapeHtml(item.previousVersion)}`
+          : '';
+        const notesSummary = item.notesSummary
+          ? `<div class="release-notes-summary">${escapeHtml(item.notesSummary)}</div>`
+          : '';
+        const notesLink = item.body || item.changelog
+          ? ` · <span class="release-notes-link" data-timestamp="${item.timestamp}" data-tag="${escapeHtml(item.tagName)}">${item.body ? 'Release notes' : 'Changelog'}</span>`
+          : '';
         
         return `
-          <a href="${item.url}" target="_blank" class="activity-item release-item">
+          <a href="${item.url}" target="_blank" class="activity-item release-item${item.type === 'release' || item.type === 'tag' ? '' : ` ${item.type}`}">
             <div class="activity-header">
               ${platformBadge}
+              ${accountBadge}
               <span class="activity-repo">${truncate(item.repo, 22)}</span>
+              ${levelBadge}
               <span class="activity-time">${formatRelativeTime(item.timestamp)}</span>
             </div>
             <div class="activity-message">
               <span class="priority-indicator">${emoji}</span>
               ${typeLabel}: ${truncate(item.releaseName || item.tagName, 50)}${prereleaseLabel}
             </div>
-            <div class="activity-author">Version ${item.tagName}</div>
+            ${notesSummary}
+            <div class="activity-author">Version ${item.tagName}${previousLabel}${notesLink}</div>
+          </a>
+        `;
+      } else if (item.type === 'rewrite') {
+        // Force-push / history rewrite notification
+        const droppedList = (item.droppedCommits || [])
+          .map(c => `${c.sha.substring(0, 7)} ${c.message}`)
+          .join('\n');
+        const droppedLabel = item.droppedCount
+          ? `${item.droppedCount} commit${item.droppedCount === 1 ? '' : 's'} dropped`
+          : `${item.previousSha.substring(0, 7)} no longer on branch`;
+        
+        return `
+          <a href="${item.url}" target="_blank" class="activity-item priority-high" title="${escapeHtml(droppedList)}">
+            <div class="activity-header">
+              ${platformBadge}
+              ${accountBadge}
+              <span class="activity-repo">${truncate(item.repo, 22)}</span>
+              <span class="activity-time">${formatRelativeTime(item.timestamp)}</span>
+            </div>
+            <div class="activity-message">
+              <span class="priority-indicator">⚠️</span>
+              ${escapeHtml(truncate(item.message, 50))}
+            </div>
+            <div class="activity-author">${droppedLabel}</div>
+          </a>
+        `;
+      } else if (item.type === 'secret') {
+        // Possible secret committed (excerpts are already redacted)
+        const findingsList = (item.findings || [])
+          .map(f => `${f.label} in ${f.filename}${f.line ? `:${f.line}` : ''}\n${f.excerpt}`)
+          .join('\n');
+        const [first] = item.findings || [];
+        
+        return `
+          <a href="${item.url}" target="_blank" class="activity-item priority-high" title="${escapeHtml(findingsList)}">
+            <div class="activity-header">
+              ${platformBadge}
+              ${accountBadge}
+              <span class="activity-repo">${truncate(item.repo, 22)}</span>
+              <span class="activity-time">${formatRelativeTime(item.timestamp)}</span>
+            </div>
+            <div class="activity-message">
+              <span class="priority-indicator">🔑</span>
+              ${escapeHtml(truncate(item.message, 50))}
+            </div>
+            <div class="activity-author">${first ? escapeHtml(truncate(`${first.filename}: ${first.excerpt}`, 60)) : ''}</div>
+          </a>
+        `;
+      } else if (item.type === 'bots') {
+        // Batched bot commits of a branch
+        const commitList = (item.commits || [])
+          .map(c => `${c.sha.substring(0, 7)} ${c.author}: ${c.message}`)
+          .join('\n');
+        
+        return `
+          <a href="${item.url}" target="_blank" class="activity-item priority-low" title="${escapeHtml(commitList)}">
+            <div class="activity-header">
+              ${platformBadge}
+              ${accountBadge}
+              <span class="activity-repo">${truncate(item.repo, 22)}</span>
+              <span class="activity-time">${formatRelativeTime(item.timestamp)}</span>
+            </div>
+            <div class="activity-message">
+              <span class="priority-indicator">🤖</span>
+              ${escapeHtml(truncate(item.message, 50))}
+            </div>
+            <div class="activity-author">${escapeHtml(truncate((item.bots || []).join(', '), 60))}</div>
+          </a>
+        `;
+      } else if (item.type === 'unsigned') {
+        // Unsigned or unverified commit on a repository that requires signatures
+        return `
+          <a href="${item.url}" target="_blank" class="activity-item priority-high">
+            <div class="activity-header">
+              ${platformBadge}
+              ${accountBadge}
+              <span class="activity-repo">${truncate(item.repo, 22)}</span>
+              ${getSignatureBadgeHtml(item.verification)}
+              <span class="activity-time">${formatRelativeTime(item.timestamp)}</span>
+            </div>
+            <div class="activity-message">
+              <span class="priority-indicator">🔓</span>
+              ${escapeHtml(truncate(item.message, 50))}
+            </div>
+            <div class="activity-author">${escapeHtml(truncate(`${item.sha.substring(0, 7)} by ${item.author}: ${item.commitMessage || ''}`, 60))}</div>
           </a>
         `;
       } else if (item.type === 'commit') {
@@ -385,19 +724,35 @@ function renderActivityList() {
           medium: '🟡',
           low: '🟢'
         };
+        const conventional = item.conventional;
+        const conventionalBadge = conventional
+          ? `<span class="conventional-badge${conventional.breaking ? ' breaking' : ''}">${conventional.type}${conventional.scope ? `(${conventional.scope})` : ''}${conventional.breaking ? '!' : ''}</span>`
+          : '';
+        const ownedBadge = item.touchesYourCode
+          ? `<span class="owned-badge" title="${escapeHtml((item.ownedFiles || []).join('\n'))}">touches your code</span>`
+          : '';
+        const signatureBadge = getSignatureBadgeHtml(item.verification);
         
         return `
           <a href="${item.url}" target="_blank" class="activity-item ${priorityClass}">
             <div class="activity-header">
               ${platformBadge}
+              ${accountBadge}
               <span class="activity-repo">${truncate(item.repo, 22)}</span>
+              ${ownedBadge}
+              ${signatureBadge}
               <span class="activity-time">${formatRelativeTime(item.timestamp)}</span>
             </div>
             <div class="activity-message">
               <span class="priority-indicator">${priorityEmoji[item.priority] || ''}</span>
+              ${conventionalBadge}
               ${truncate(item.message, 50)}
             </div>
-            <div class="activity-author">by ${item.author}</div>
+            ${getDependencyChangesHtml(item)}
+            <div class="activity-author">
+              by ${item.author}${item.coAuthors?.length ? ` with ${escapeHtml(item.coAuthors.map(c => c.name).join(', '))}` : ''}${item.branch ? ` on ${escapeHtml(item.branch)}` : ''}
+              ${getPriorityReasonsHtml(item)}
+            </div>
           </a>
         `;
       } else {
@@ -406,6 +761,7 @@ function renderActivityList() {
           <a href="${item.url}" target="_blank" class="activity-item">
             <div class="activity-header">
               ${platformBadge}
+              ${accountBadge}
               <span class="activity-repo">${truncate(item.repo, 22)}</span>
               <span class="activity-time">${formatRelativeTime(item.timestamp)}</span>
             </div>
@@ -420,6 +776,57 @@ function renderActivityList() {
     elements.activityList.innerHTML = activityHtml;
 }
 
+/**
+ * Render the commit changelog of a release since the previous tag
+ * @param {Object} changelog - { fromTag, totalCommits, authorCount, authors, groups }
+ * @returns {string} HTML
+ */
+function renderChangelog(changelog) {
+  const { fromTag, totalCommits, authorCount, authors, groups } = changelog;
+  const commitLabel = `${totalCommits} commit${totalCommits === 1 ? '' : 's'}`;
+  const authorList = authors
+    .map(author => `${escapeHtml(author.name)} (${author.commits})`)
+    .join(', ');
+  const moreAuthors = authorCount > authors.length ? ` and ${authorCount - authors.length} more` : '';
+  
+  const groupsHtml = groups.map(group => {
+    const moreSubjects = group.count > group.subjects.length
+      ? `<li class="changelog-more">${group.count - group.subjects.length} more</li>`
+      : '';
+    return `
+      <h5>${group.emoji} ${escapeHtml(group.label)} (${group.count})</h5>
+      <ul>${group.subjects.map(subject => `<li>${escapeHtml(subject)}</li>`).join('')}${moreSubjects}</ul>
+    `;
+  }).join('');
+  
+  return `
+    <div class="release-changelog">
+      <h4>Changes since ${escapeHtml(fromTag)}</h4>
+      <p class="changelog-summary">${commitLabel} by ${authorList}${moreAuthors}</p>
+      ${groupsHtml}
+    </div>
+  `;
+}
+
+/**
+ * Show the release notes and changelog of a release/tag activity item
+ * @param {Object} item - Activity item
+ */
+function showReleaseDetails(item) {
+  const typeLabel = item.isTag ? 'Tag' : 'Release';
+  elements.releaseViewRepo.textContent = item.repo;
+  elements.releaseViewName.textContent = `${typeLabel}: ${item.releaseName || item.tagName}`;
+  elements.releaseViewLink.href = item.url;
+  
+  const notesHtml = item.body ? renderMarkdown(item.body) : '';
+  const changelogHtml = item.changelog ? renderChangelog(item.changelog) : '';
+  elements.releaseNotes.innerHTML = notesHtml || changelogHtml
+    ? notesHtml + changelogHtml
+    : '<p class="empty-state">No release notes</p>';
+  elements.releaseNotes.scrollTop = 0;
+  showView('release');
+}
+
 /**
  * Update the activity list with recent notifications
  */
@@ -710,6 +1117,28 @@ async function init() {
     btn.addEventListener('click', () => handlePlatformFilter(btn.dataset.platform));
   });
   
+  // Expand the priority explanation without following the activity link
+  elements.activityList.addEventListener('click', (event) => {
+    const toggle = event.target.closest('.why-toggle');
+    if (!toggle) return;
+    
+    event.preventDefault();
+    toggle.closest('.activity-item').classList.toggle('why-expanded');
+  });
+  
+  // Open the release notes instead of the release page
+  elements.activityList.addEventListener('click', (event) => {
+    const notesLink = event.target.closest('.release-notes-link');
+    if (!notesLink) return;
+    
+    event.preventDefault();
+    const item = activityData.find(entry =>
+      String(entry.timestamp) === notesLink.dataset.timestamp && entry.tagName === notesLink.dataset.tag
+    );
+    if (item) showReleaseDetails(item);
+  });
+  elements.releaseBackBtn.addEventListener('click', () => showView('main'));
+  
   // Load saved platform filter
   currentPlatformFilter = await getPlatformFilter();
   elements.filterButtons.forEach(btn => {
@@ -781,9 +1210,13 @@ function handleKeyboardShortcuts(event) {
       break;
       
     case 'escape':
-      // Escape - Close popup
+      // Escape - Back from the release notes, otherwise close popup
       event.preventDefault();
-      window.close();
+      if (!elements.releaseView.classList.contains('hidden')) {
+        showView('main');
+      } else {
+        window.close();
+      }
       break;
       
     case 'l':